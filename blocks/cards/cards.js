@@ -1,18 +1,32 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
+import {
+  createOptimizedPicture,
+  decorateColorSchemeImages,
+  readBlockOptions,
+} from '../../scripts/aem.js';
 
 export default function decorate(block) {
+  const { focus } = readBlockOptions(block, { focus: '' });
   /* change to ul, li */
   const ul = document.createElement('ul');
   [...block.children].forEach((row) => {
     const li = document.createElement('li');
     while (row.firstElementChild) li.append(row.firstElementChild);
     [...li.children].forEach((div) => {
-      if (div.children.length === 1 && div.querySelector('picture')) div.className = 'cards-card-image';
-      else div.className = 'cards-card-body';
+      // a cell with only pictures, e.g. an image and its dark variant, is the card image
+      const isImage = div.children.length
+        && [...div.children].every((child) => child.matches('picture') || child.querySelector('picture'));
+      div.className = isImage ? 'cards-card-image' : 'cards-card-body';
     });
     ul.append(li);
   });
-  ul.querySelectorAll('picture > img').forEach((img) => img.closest('picture').replaceWith(createOptimizedPicture(img.src, img.alt, false, [{ width: '750' }])));
+  ul.querySelectorAll('picture > img').forEach((img) => img.closest('picture').replaceWith(createOptimizedPicture(
+    img.src,
+    img.alt,
+    false,
+    [{ width: 375, densities: [1, 2] }],
+    { width: img.getAttribute('width'), height: img.getAttribute('height'), focus },
+  )));
+  decorateColorSchemeImages(ul);
   block.textContent = '';
   block.append(ul);
 }
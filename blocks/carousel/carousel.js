@@ -1,4 +1,9 @@
-import { fetchPlaceholders } from '../../scripts/aem.js';
+import {
+  createPlaceholderFormatter,
+  decorateImageFocus,
+  fetchPlaceholders,
+  readBlockOptions,
+} from '../../scripts/aem.js';
 
 function updateActiveSlide(slide) {
   const block = slide.closest('.carousel');
@@ -97,6 +102,7 @@ export default async function decorate(block) {
   const isSingleSlide = rows.length < 2;
 
   const placeholders = await fetchPlaceholders();
+  const format = createPlaceholderFormatter(placeholders);
 
   block.setAttribute('role', 'region');
   block.setAttribute('aria-roledescription', placeholders.carousel || 'Carousel');
@@ -135,7 +141,12 @@ export default async function decorate(block) {
       const indicator = document.createElement('li');
       indicator.classList.add('carousel-slide-indicator');
       indicator.dataset.targetSlide = idx;
-      indicator.innerHTML = `<button type="button" aria-label="${placeholders.showSlide || 'Show Slide'} ${idx + 1} ${placeholders.of || 'of'} ${rows.length}"></button>`;
+      const label = format(
+        'showSlideOf',
+        { index: idx + 1, total: rows.length },
+        `${placeholders.showSlide || 'Show Slide'} {index} ${placeholders.of || 'of'} {total}`,
+      );
+      indicator.innerHTML = `<button type="button" aria-label="${label}"></button>`;
       slideIndicators.append(indicator);
     }
     row.remove();
@@ -143,6 +154,7 @@ export default async function decorate(block) {
 
   container.append(slidesWrapper);
   block.prepend(container);
+  decorateImageFocus(slidesWrapper, readBlockOptions(block, { focus: '' }).focus);
 
   if (!isSingleSlide) {
     bindEvents(block);
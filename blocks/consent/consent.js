@@ -0,0 +1,155 @@
+/*
+ * Consent Block
+ * Cookie consent banner and preferences dialog, loaded from the fragment in the consent metadata.
+ * The first section of the fragment is the banner text, the optional second section
+ * introduces the preferences.
+ */
+
+import {
+  createPlaceholderFormatter,
+  fetchPlaceholders,
+  getConsent,
+  getMetadata,
+  hasConsentChoice,
+  setConsent,
+  toCamelCase,
+} from '../../scripts/aem.js';
+import { loadFragment } from '../fragment/fragment.js';
+import { createModal } from '../modal/modal.js';
+
+const DESCRIPTIONS = {
+  necessary: 'Required for the site to work. Always on.',
+  analytics: 'Helps us understand how the site is used.',
+  marketing: 'Personalized content and ads from our partners.',
+  media: 'Videos and posts from YouTube, Vimeo and other platforms.',
+};
+
+/**
+ * Creates a button.
+ * @param {string} label The button label
+ * @param {string} className The button class
+ * @param {Function} onClick The click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates the preferences form with a checkbox per consent category.
+ * @param {Function} format The placeholder formatter
+ * @param {Element} [intro] Content to show above the categories
+ * @returns {HTMLFormElement} The form
+ */
+function createPreferencesForm(format, intro) {
+  const form = document.createElement('form');
+  form.className = 'consent-preferences';
+  if (intro) form.append(...intro.children);
+
+  const fieldset = document.createElement('fieldset');
+  const legend = document.createElement('legend');
+  legend.textContent = format('consentCategories', {}, 'Cookie categories');
+  fieldset.append(legend);
+  Object.entries(getConsent()).forEach(([category, granted]) => {
+    const key = toCamelCase(`consent-${category}`);
+    const option = document.createElement('div');
+    option.className = 'consent-category';
+    option.innerHTML = `<input type="checkbox" id="consent-${category}" name="${category}" aria-describedby="consent-${category}-description">
+      <label for="consent-${category}"></label>
+      <p id="consent-${category}-description"></p>`;
+    const input = option.querySelector('input');
+    input.checked = granted;
+    input.disabled = category === 'necessary';
+    option.querySelector('label').textContent = format(key, {}, category[0].toUpperCase() + category.slice(1));
+    option.querySelector('p').textContent = format(`${key}Description`, {}, DESCRIPTIONS[category]);
+    fieldset.append(option);
+  });
+  form.append(fieldset);
+
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'button primary';
+  save.textContent = format('consentSave', {}, 'Save preferences');
+  form.append(save);
+  return form;
+}
+
+/**
+ * loads and decorates the consent banner
+ * @param {Element} block The consent block element
+ */
+export default async function decorate(block) {
+  const consentPath = new URL(getMetadata('consent'), window.location).pathname;
+  const format = createPlaceholderFormatter(await fetchPlaceholders());
+  block.textContent = '';
+
+  let fragment;
+  const getSection = async (index) => {
+    if (!fragment) fragment = loadFragment(consentPath);
+    const main = await fragment;
+    const section = main && main.querySelectorAll(':scope > .section')[index];
+    return section ? section.cloneNode(true) : null;
+  };
+
+  const closeBanner = () => {
+    block.textContent = '';
+    block.classList.remove('consent-open');
+  };
+
+  const openPreferences = async () => {
+    const intro = await getSection(1);
+    const form = createPreferencesForm(format, intro);
+    const { block: modal, showModal } = await createModal([form]);
+    modal.classList.add('consent-modal');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      setConsent(Object.fromEntries([...form.querySelectorAll('input[type="checkbox"]')]
+        .map((input) => [input.name, input.checked])));
+      modal.querySelector('dialog').close();
+      closeBanner();
+    });
+    showModal();
+  };
+
+  // links to #consent-preferences, e.g. in the footer, open the preferences
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('a[href$="#consent-preferences"]');
+    if (!link) return;
+    e.preventDefault();
+    openPreferences();
+  });
+
+  if (hasConsentChoice()) return;
+
+  const banner = await getSection(0);
+  if (!banner) return;
+  banner.className = 'consent-banner-text';
+  banner.removeAttribute('data-section-status');
+  banner.removeAttribute('style');
+
+  const actions = document.createElement('div');
+  actions.className = 'consent-banner-actions';
+  const setAll = (granted) => () => {
+    const categories = Object.keys(getConsent());
+    setConsent(Object.fromEntries(categories.map((category) => [category, granted])));
+    closeBanner();
+  };
+  actions.append(
+    createButton(format('consentPreferences', {}, 'Preferences'), 'button secondary', openPreferences),
+    createButton(format('consentRejectAll', {}, 'Necessary only'), 'button secondary', setAll(false)),
+    createButton(format('consentAcceptAll', {}, 'Accept all'), 'button primary', setAll(true)),
+  );
+
+  const region = document.createElement('div');
+  region.className = 'consent-banner';
+  region.setAttribute('role', 'region');
+  region.setAttribute('aria-label', format('consentBanner', {}, 'Cookie consent'));
+  region.append(banner, actions);
+  block.append(region);
+  block.classList.add('consent-open');
+}
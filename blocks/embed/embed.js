@@ -4,6 +4,8 @@
  * https://www.hlx.live/developer/block-collection/embed
  */
 
+import { requireConsent } from '../../scripts/aem.js';
+
 const loadScript = (url, callback, type) => {
   const head = document.querySelector('head');
   const script = document.createElement('script');
@@ -64,27 +66,36 @@ const loadEmbed = (block, link, autoplay) => {
     {
       match: ['youtube', 'youtu.be'],
       embed: embedYoutube,
+      provider: 'YouTube',
+      consent: 'media',
     },
     {
       match: ['vimeo'],
       embed: embedVimeo,
+      provider: 'Vimeo',
+      consent: 'media',
     },
     {
       match: ['twitter'],
       embed: embedTwitter,
+      provider: 'Twitter',
+      consent: 'marketing',
     },
   ];
 
   const config = EMBEDS_CONFIG.find((e) => e.match.some((match) => link.includes(match)));
   const url = new URL(link);
-  if (config) {
-    block.innerHTML = config.embed(url, autoplay);
-    block.classList = `block embed embed-${config.match[0]}`;
-  } else {
-    block.innerHTML = getDefaultEmbed(url);
-    block.classList = 'block embed';
-  }
-  block.classList.add('embed-is-loaded');
+  block.textContent = '';
+  requireConsent(block, config ? config.consent : 'media', config ? config.provider : url.hostname, () => {
+    if (config) {
+      block.innerHTML = config.embed(url, autoplay);
+      block.classList = `block embed embed-${config.match[0]}`;
+    } else {
+      block.innerHTML = getDefaultEmbed(url);
+      block.classList = 'block embed';
+    }
+    block.classList.add('embed-is-loaded');
+  });
 };
 
 export default function decorate(block) {
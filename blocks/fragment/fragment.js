@@ -9,6 +9,7 @@ import {
 } from '../../scripts/scripts.js';
 
 import {
+  applyAudiences,
   loadSections,
 } from '../../scripts/aem.js';
 
@@ -23,6 +24,8 @@ export async function loadFragment(path) {
     if (resp.ok) {
       const main = document.createElement('main');
       main.innerHTML = await resp.text();
+      // lets the fragment auto block skip links to the fragment itself
+      main.dataset.fragmentPath = new URL(path, window.location).pathname;
 
       // reset base path for media to fragment base
       const resetAttributeBase = (tag, attr) => {
@@ -33,7 +36,8 @@ export async function loadFragment(path) {
       resetAttributeBase('img', 'src');
       resetAttributeBase('source', 'srcset');
 
-      decorateMain(main);
+      await decorateMain(main);
+      await applyAudiences(main);
       await loadSections(main);
       return main;
     }
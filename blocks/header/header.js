@@ -1,4 +1,9 @@
-import { fetchPlaceholders, getMetadata } from '../../scripts/aem.js';
+import {
+  createColorSchemeToggle,
+  createPlaceholderFormatter,
+  fetchPlaceholders,
+  getMetadata,
+} from '../../scripts/aem.js';
 import { loadFragment } from '../fragment/fragment.js';
 
 // media query match that indicates mobile/tablet width
@@ -130,8 +135,8 @@ async function buildBreadcrumbsFromNavTree(nav, currentUrl) {
     crumbs.unshift({ title: getMetadata('og:title'), url: currentUrl });
   }
 
-  const placeholders = await fetchPlaceholders();
-  const homePlaceholder = placeholders.breadcrumbsHomeLabel || 'Home';
+  const format = createPlaceholderFormatter(await fetchPlaceholders());
+  const homePlaceholder = format('breadcrumbsHomeLabel', {}, 'Home');
 
   crumbs.unshift({ title: homePlaceholder, url: homeUrl });
 
@@ -219,6 +224,7 @@ export default async function decorate(block) {
     if (search && search.textContent === '') {
       search.setAttribute('aria-label', 'Search');
     }
+    navTools.append(createColorSchemeToggle());
   }
 
   // hamburger for mobile
@@ -0,0 +1,15 @@
+import {
+  decorateColorSchemeImages,
+  decorateImageFocus,
+  readBlockOptions,
+} from '../../scripts/aem.js';
+
+/**
+ * Decorates the hero block
+ * @param {Element} block The hero block element
+ */
+export default function decorate(block) {
+  const { focus } = readBlockOptions(block, { focus: '' });
+  decorateImageFocus(block, focus);
+  decorateColorSchemeImages(block);
+}
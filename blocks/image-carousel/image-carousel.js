@@ -1,7 +1,13 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
+import {
+  addStructuredData,
+  createOptimizedPicture,
+  parseImageFocus,
+  requireConsent,
+} from '../../scripts/aem.js';
 
 /**
- * Creates a YouTube embed from URL with autoplay support
+ * Creates a YouTube embed from URL with autoplay support, once the visitor consented to
+ * media content
  * @param {string} url YouTube URL
  * @param {boolean} autoplay Whether to autoplay the video
  * @returns {HTMLElement} Iframe element
@@ -21,7 +27,7 @@ function createYouTubeEmbed(url, autoplay = false) {
   iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
   iframe.allowFullscreen = true;
   
-  wrapper.append(iframe);
+  requireConsent(wrapper, 'media', 'YouTube', () => wrapper.append(iframe));
   return wrapper;
 }
 
@@ -218,7 +224,7 @@ function createThumbnails(block, slides) {
       if (index === 0) button.classList.add('active');
       
       // Create optimized thumbnail image
-      const thumbnail = createOptimizedPicture(img.src, '', false, [{ width: '160' }]);
+      const thumbnail = createOptimizedPicture(img.src, '', false, [{ width: 160, densities: [1, 2] }]);
       button.append(thumbnail);
       
       button.addEventListener('click', () => {
@@ -242,6 +248,7 @@ export default function decorate(block) {
   
   // Process images and videos
   const slides = [...block.children];
+  const images = [];
   slides.forEach((slide, index) => {
     const slideDiv = document.createElement('div');
     slideDiv.className = 'image-carousel-slide';
@@ -268,10 +275,18 @@ export default function decorate(block) {
       // Handle image as before
       const img = slide.querySelector('img');
       if (img) {
-        const picture = createOptimizedPicture(img.src, img.alt, false, [
-          { width: '2000' },
-          { width: '750' }
-        ]);
+        const { alt } = parseImageFocus(img.alt);
+        images.push({ '@type': 'ImageObject', contentUrl: img.src, name: alt || undefined });
+        const picture = createOptimizedPicture(
+          img.src,
+          img.alt,
+          index === 0,
+          [
+            { media: '(min-width: 600px)', widths: [1000, 2000], sizes: '100vw' },
+            { width: 750 },
+          ],
+          { width: img.getAttribute('width'), height: img.getAttribute('height') },
+        );
         slideDiv.append(picture);
       }
     }
@@ -279,6 +294,8 @@ export default function decorate(block) {
     slidesContainer.append(slideDiv);
   });
   
+  if (images.length) addStructuredData({ '@type': 'ImageGallery', image: images });
+
   // Clear original content and add new structure
   block.textContent = '';
   block.append(slidesContainer);
@@ -1,5 +1,6 @@
 import {
   createOptimizedPicture,
+  createPlaceholderFormatter,
   decorateIcons,
   fetchPlaceholders,
 } from '../../scripts/aem.js';
@@ -90,7 +91,7 @@ function renderResult(result, searchTerms, titleTag) {
   if (result.image) {
     const wrapper = document.createElement('div');
     wrapper.className = 'search-result-image';
-    const pic = createOptimizedPicture(result.image, '', false, [{ width: '375' }]);
+    const pic = createOptimizedPicture(result.image, '', false, [{ width: 375, densities: [1, 2] }]);
     wrapper.append(pic);
     a.append(wrapper);
   }
@@ -143,7 +144,11 @@ async function renderResults(block, config, filteredData, searchTerms) {
   } else {
     const noResultsMessage = document.createElement('li');
     searchResults.classList.add('no-results');
-    noResultsMessage.textContent = config.placeholders.searchNoResults || 'No results found.';
+    noResultsMessage.textContent = config.format(
+      'searchNoResults',
+      { query: searchTerms.join(' ') },
+      'No results found.',
+    );
     searchResults.append(noResultsMessage);
   }
 }
@@ -252,10 +257,11 @@ function searchBox(block, config) {
 
 export default async function decorate(block) {
   const placeholders = await fetchPlaceholders();
+  const format = createPlaceholderFormatter(placeholders);
   const source = block.querySelector('a[href]') ? block.querySelector('a[href]').href : '/query-index.json';
   block.innerHTML = '';
   block.append(
-    searchBox(block, { source, placeholders }),
+    searchBox(block, { source, placeholders, format }),
     searchResultsContainer(block),
   );
 
@@ -4,6 +4,8 @@
  * https://www.hlx.live/developer/block-collection/table
  */
 
+import { readBlockOptions } from '../../scripts/aem.js';
+
 function buildCell(rowIndex) {
   const cell = rowIndex ? document.createElement('td') : document.createElement('th');
   if (!rowIndex) cell.setAttribute('scope', 'col');
@@ -15,7 +17,7 @@ export default async function decorate(block) {
   const thead = document.createElement('thead');
   const tbody = document.createElement('tbody');
 
-  const header = !block.classList.contains('no-header');
+  const { header } = readBlockOptions(block, { header: true });
   if (header) table.append(thead);
   table.append(tbody);
 
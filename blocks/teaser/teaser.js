@@ -1,4 +1,9 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
+import {
+  createOptimizedPicture,
+  decorateColorSchemeImages,
+  decorateImageFocus,
+  requireConsent,
+} from '../../scripts/aem.js';
 
 /**
  * Checks if a URL is a YouTube video
@@ -20,7 +25,7 @@ function getYouTubeVideoId(url) {
 }
 
 /**
- * Creates a YouTube embed iframe
+ * Creates a YouTube embed iframe, once the visitor consented to media content
  * @param {string} videoId YouTube video ID
  * @returns {HTMLElement} Iframe wrapper
  */
@@ -35,7 +40,7 @@ function createYouTubeEmbed(videoId) {
   iframe.allowFullscreen = true;
   iframe.loading = 'lazy';
 
-  wrapper.append(iframe);
+  requireConsent(wrapper, 'media', 'YouTube', () => wrapper.append(iframe));
   return wrapper;
 }
 
@@ -98,12 +103,14 @@ function processMedia(cell) {
     }
   }
 
-  // Image (picture element)
-  const picture = cell.querySelector('picture');
-  if (picture) {
+  // Image (picture element), optionally followed by its dark variant
+  const pictures = [...cell.querySelectorAll('picture')];
+  if (pictures.length) {
     const wrapper = document.createElement('div');
     wrapper.className = 'teaser-image-wrapper';
-    wrapper.append(picture.cloneNode(true));
+    wrapper.append(...pictures.slice(0, 2).map((picture) => picture.cloneNode(true)));
+    decorateImageFocus(wrapper);
+    decorateColorSchemeImages(wrapper);
     return wrapper;
   }
 
@@ -112,9 +119,13 @@ function processMedia(cell) {
   if (img) {
     const wrapper = document.createElement('div');
     wrapper.className = 'teaser-image-wrapper';
-    const optimizedPicture = createOptimizedPicture(img.src, img.alt || '', false, [
-      { width: '750' }
-    ]);
+    const optimizedPicture = createOptimizedPicture(
+      img.src,
+      img.alt || '',
+      false,
+      [{ width: 375, densities: [1, 2] }],
+      { width: img.getAttribute('width'), height: img.getAttribute('height') },
+    );
     wrapper.append(optimizedPicture);
     return wrapper;
   }
@@ -144,101 +155,97 @@ function processContent(cell) {
   };
 }
 
+/**
+ * Renders the teaser when decoration failed
+ * @param {Element} block The teaser block element, restored to its authored markup
+ */
+export function fallback(block) {
+  block.innerHTML = '<p class="error-message">Unable to load content</p>';
+}
+
 /**
  * Decorates the teaser block
  * @param {Element} block The teaser block element
  */
 export default function decorate(block) {
-  // Configuration
-  const config = {
-    defaultMediaPosition: 'left',
-    errorMessage: 'Unable to load content'
-  };
-
-  try {
-    // Extract content from block structure
-    const rows = Array.from(block.children);
-    if (rows.length === 0) {
-      throw new Error('No content rows found');
-    }
-
-    // Get the first row (should contain media and content cells)
-    const firstRow = rows[0];
-    const cells = Array.from(firstRow.children);
+  // Extract content from block structure
+  const rows = Array.from(block.children);
+  if (rows.length === 0) {
+    throw new Error('No content rows found');
+  }
 
-    if (cells.length < 2) {
-      throw new Error('Teaser block requires two columns: media and content');
-    }
+  // Get the first row (should contain media and content cells)
+  const firstRow = rows[0];
+  const cells = Array.from(firstRow.children);
 
-    // Process media (first cell)
-    const mediaElement = processMedia(cells[0]);
+  if (cells.length < 2) {
+    throw new Error('Teaser block requires two columns: media and content');
+  }
 
-    // Process content (second cell)
-    const content = processContent(cells[1]);
+  // Process media (first cell)
+  const mediaElement = processMedia(cells[0]);
 
-    // Create new structure
-    const container = document.createElement('div');
-    container.className = 'teaser-container';
+  // Process content (second cell)
+  const content = processContent(cells[1]);
 
-    // Add media section
-    if (mediaElement) {
-      const mediaSection = document.createElement('div');
-      mediaSection.className = 'teaser-media';
-      mediaSection.append(mediaElement);
-      container.append(mediaSection);
-    }
+  // Create new structure
+  const container = document.createElement('div');
+  container.className = 'teaser-container';
 
-    // Add content section
-    const contentSection = document.createElement('div');
-    contentSection.className = 'teaser-content';
+  // Add media section
+  if (mediaElement) {
+    const mediaSection = document.createElement('div');
+    mediaSection.className = 'teaser-media';
+    mediaSection.append(mediaElement);
+    container.append(mediaSection);
+  }
 
-    // Add title
-    if (content.title) {
-      const titleElement = document.createElement(content.titleTag);
-      titleElement.className = 'teaser-title';
-      titleElement.textContent = content.title;
-      contentSection.append(titleElement);
-    }
+  // Add content section
+  const contentSection = document.createElement('div');
+  contentSection.className = 'teaser-content';
 
-    // Add description
-    if (content.description.length > 0) {
-      const descriptionWrapper = document.createElement('div');
-      descriptionWrapper.className = 'teaser-description';
+  // Add title
+  if (content.title) {
+    const titleElement = document.createElement(content.titleTag);
+    titleElement.className = 'teaser-title';
+    titleElement.textContent = content.title;
+    contentSection.append(titleElement);
+  }
 
-      content.description.forEach(text => {
-        const p = document.createElement('p');
-        p.textContent = text;
-        descriptionWrapper.append(p);
-      });
+  // Add description
+  if (content.description.length > 0) {
+    const descriptionWrapper = document.createElement('div');
+    descriptionWrapper.className = 'teaser-description';
 
-      contentSection.append(descriptionWrapper);
-    }
+    content.description.forEach((text) => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      descriptionWrapper.append(p);
+    });
 
-    // Add buttons
-    if (content.buttons.length > 0) {
-      const buttonsWrapper = document.createElement('div');
-      buttonsWrapper.className = 'teaser-buttons';
-
-      content.buttons.forEach((button, index) => {
-        const btnElement = document.createElement('a');
-        btnElement.href = button.href;
-        btnElement.textContent = button.text;
-        btnElement.title = button.title;
-        btnElement.className = index === 0 ? 'teaser-button primary' : 'teaser-button secondary';
-        buttonsWrapper.append(btnElement);
-      });
-
-      contentSection.append(buttonsWrapper);
-    }
+    contentSection.append(descriptionWrapper);
+  }
 
-    container.append(contentSection);
+  // Add buttons
+  if (content.buttons.length > 0) {
+    const buttonsWrapper = document.createElement('div');
+    buttonsWrapper.className = 'teaser-buttons';
+
+    content.buttons.forEach((button, index) => {
+      const btnElement = document.createElement('a');
+      btnElement.href = button.href;
+      btnElement.textContent = button.text;
+      btnElement.title = button.title;
+      btnElement.className = index === 0 ? 'teaser-button primary' : 'teaser-button secondary';
+      buttonsWrapper.append(btnElement);
+    });
+
+    contentSection.append(buttonsWrapper);
+  }
 
-    // Replace block content
-    block.textContent = '';
-    block.append(container);
+  container.append(contentSection);
 
-  } catch (error) {
-    console.error('Teaser block decoration failed:', error);
-    block.innerHTML = `<p class="error-message">${config.errorMessage}</p>`;
-  }
+  // Replace block content
+  block.textContent = '';
+  block.append(container);
 }
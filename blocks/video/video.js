@@ -4,6 +4,13 @@
  * https://www.hlx.live/developer/block-collection/video
  */
 
+import {
+  addStructuredData,
+  getMetadata,
+  readBlockOptions,
+  requireConsent,
+} from '../../scripts/aem.js';
+
 const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
 
 function embedYoutube(url, autoplay, background) {
@@ -85,17 +92,15 @@ const loadVideoEmbed = (block, link, autoplay, background) => {
   const isYoutube = link.includes('youtube') || link.includes('youtu.be');
   const isVimeo = link.includes('vimeo');
 
-  if (isYoutube) {
-    const embedWrapper = embedYoutube(url, autoplay, background);
-    block.append(embedWrapper);
-    embedWrapper.querySelector('iframe').addEventListener('load', () => {
-      block.dataset.embedLoaded = true;
-    });
-  } else if (isVimeo) {
-    const embedWrapper = embedVimeo(url, autoplay, background);
-    block.append(embedWrapper);
-    embedWrapper.querySelector('iframe').addEventListener('load', () => {
-      block.dataset.embedLoaded = true;
+  if (isYoutube || isVimeo) {
+    requireConsent(block, 'media', isYoutube ? 'YouTube' : 'Vimeo', () => {
+      const embedWrapper = isYoutube
+        ? embedYoutube(url, autoplay, background)
+        : embedVimeo(url, autoplay, background);
+      block.append(embedWrapper);
+      embedWrapper.querySelector('iframe').addEventListener('load', () => {
+        block.dataset.embedLoaded = true;
+      });
     });
   } else {
     const videoEl = getVideoElement(link, autoplay, background);
@@ -108,11 +113,23 @@ const loadVideoEmbed = (block, link, autoplay, background) => {
 
 export default async function decorate(block) {
   const placeholder = block.querySelector('picture');
-  const link = block.querySelector('a').href;
+  // auto blocked videos have the URL as text
+  const anchor = block.querySelector('a');
+  const link = anchor ? anchor.href : block.textContent.trim();
   block.textContent = '';
   block.dataset.embedLoaded = false;
 
-  const autoplay = block.classList.contains('autoplay');
+  const isEmbed = ['youtube', 'youtu.be', 'vimeo'].some((host) => link.includes(host));
+  addStructuredData({
+    '@type': 'VideoObject',
+    name: getMetadata('og:title') || document.title,
+    description: getMetadata('description') || undefined,
+    thumbnailUrl: placeholder ? placeholder.querySelector('img').src : undefined,
+    uploadDate: getMetadata('publication-date') || undefined,
+    [isEmbed ? 'embedUrl' : 'contentUrl']: link,
+  });
+
+  const { autoplay } = readBlockOptions(block, { autoplay: false });
   if (placeholder) {
     block.classList.add('placeholder');
     const wrapper = document.createElement('div');
@@ -0,0 +1,50 @@
+/*
+ * Audience preview
+ * Lets authors switch between the versions of the page for each audience on preview.
+ */
+
+/**
+ * Shows the content of an audience and hides the content of other audiences.
+ * @param {Element[]} elements The sections and blocks with an audience
+ * @param {string} audience The audience, or empty for the audiences of the visitor
+ * @param {Function} toClassName The class name util
+ */
+function showAudience(elements, audience, toClassName) {
+  elements.forEach((el) => {
+    const audiences = el.dataset.audience.split(',').map((a) => toClassName(a.trim()));
+    const visible = audience ? audiences.includes(audience) : el.dataset.audienceMatch === 'true';
+    if (visible) delete el.dataset.audienceHidden;
+    else el.dataset.audienceHidden = '';
+  });
+}
+
+/**
+ * Adds the audience preview overlay.
+ * @param {Document} doc The document
+ * @param {Object} utils The loader utilities
+ */
+export default async function addAudiencePreview(doc, { loadCSS, toClassName }) {
+  const elements = [...doc.querySelectorAll('main [data-audience]')];
+  const audiences = [...new Set(elements
+    .flatMap((el) => el.dataset.audience.split(',').map((a) => toClassName(a.trim()))))];
+  if (!audiences.length) return;
+  await loadCSS(`${window.hlx.codeBasePath}/plugins/audience-preview.css`);
+
+  const overlay = doc.createElement('aside');
+  overlay.className = 'audience-preview';
+  overlay.setAttribute('aria-label', 'Audience preview');
+  overlay.innerHTML = '<p class="audience-preview-title">Audience</p><div class="audience-preview-options"></div>';
+  const options = overlay.querySelector('.audience-preview-options');
+  ['', ...audiences].forEach((audience) => {
+    const button = doc.createElement('button');
+    button.type = 'button';
+    button.textContent = audience || 'current visitor';
+    button.setAttribute('aria-pressed', !audience);
+    button.addEventListener('click', () => {
+      options.querySelectorAll('button').forEach((b) => b.setAttribute('aria-pressed', b === button));
+      showAudience(elements, audience, toClassName);
+    });
+    options.append(button);
+  });
+  doc.body.append(overlay);
+}
@@ -0,0 +1,180 @@
+/*
+ * Experiments
+ * A/B tests with page or fragment variants, configured with the experiment metadata, e.g.
+ * `Hero Test: /experiments/hero-test/page-b 30%, /experiments/hero-test/page-c 30%`.
+ * The authored page is the control and gets the remaining traffic.
+ */
+
+const STORAGE_KEY = 'experiments';
+
+/**
+ * Parses the experiment metadata.
+ * @param {string} value The metadata value
+ * @param {Function} toClassName The class name util
+ * @returns {Object} The experiment with name and variants, or null if invalid
+ */
+function parseExperiment(value, toClassName) {
+  const separator = value.indexOf(':');
+  if (separator < 0) return null;
+  const name = toClassName(value.substring(0, separator));
+  const challengers = value.substring(separator + 1)
+    .split(',')
+    .map((entry) => entry.trim().match(/^(\S+)(?:\s+(\d+(?:\.\d+)?)%?)?$/))
+    .filter((match) => match)
+    .map(([, path, weight], i) => ({
+      name: `challenger-${i + 1}`,
+      path,
+      weight: weight === undefined ? undefined : Number(weight),
+    }));
+  if (!name || !challengers.length) return null;
+
+  // variants without weight share the remaining traffic with the control
+  const variants = [{ name: 'control' }, ...challengers];
+  const assigned = variants.reduce((sum, variant) => sum + (variant.weight || 0), 0);
+  const unweighted = variants.filter((variant) => variant.weight === undefined);
+  unweighted.forEach((variant) => {
+    variant.weight = Math.max(100 - assigned, 0) / unweighted.length;
+  });
+  return { name, variants };
+}
+
+/**
+ * Picks a variant by weight.
+ * @param {Object[]} variants The variants
+ * @returns {Object} The variant
+ */
+function pickVariant(variants) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let random = Math.random() * total;
+  return variants.find((variant) => {
+    random -= variant.weight;
+    return random < 0;
+  }) || variants[0];
+}
+
+/**
+ * Returns the variant of the visitor: the ?experiment=name/variant override, the stored
+ * assignment, or a new random assignment that is stored for later visits.
+ * @param {Object} experiment The experiment
+ * @returns {Object} The variant
+ */
+function assignVariant({ name, variants }) {
+  const override = new URLSearchParams(window.location.search).get('experiment');
+  if (override) {
+    const [overrideName, variantName] = override.split('/');
+    const variant = variants.find((v) => v.name === variantName);
+    if (overrideName === name && variant) return variant;
+  }
+
+  let assignments = {};
+  try {
+    assignments = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    // start over
+  }
+  const stored = variants.find((v) => v.name === assignments[name]);
+  if (stored) return stored;
+
+  const variant = pickVariant(variants);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...assignments, [name]: variant.name }));
+  } catch (e) {
+    // no sticky assignment without storage
+  }
+  return variant;
+}
+
+/**
+ * Fetches the content of a variant.
+ * @param {string} path The variant path
+ * @returns {Element} A main element with the sections of the variant, or null
+ */
+async function fetchVariant(path) {
+  const resp = await fetch(`${path}.plain.html`);
+  if (!resp.ok) return null;
+  const main = document.createElement('main');
+  main.innerHTML = await resp.text();
+
+  // reset base path for media to the variant base
+  main.querySelectorAll('img[src^="./media_"], source[srcset^="./media_"]').forEach((elem) => {
+    const attr = elem.tagName === 'IMG' ? 'src' : 'srcset';
+    elem[attr] = new URL(elem.getAttribute(attr), new URL(path, window.location)).href;
+  });
+  return main;
+}
+
+/**
+ * Replaces the content of the sections marked with the experiment in their section metadata,
+ * e.g. `experiment | Hero Test`, with the first section of the fragment.
+ * @param {Element} main The main element
+ * @param {Element} fragment The fragment content
+ * @param {string} name The experiment name
+ * @param {Function} toClassName The class name util
+ */
+function replaceSections(main, fragment, name, toClassName) {
+  const content = fragment.querySelector(':scope > div');
+  if (!content) return;
+  main.querySelectorAll(':scope > div > .section-metadata > div').forEach((row) => {
+    const [key, value] = row.children;
+    if (!value || toClassName(key.textContent) !== 'experiment') return;
+    if (toClassName(value.textContent) !== name) return;
+    const metadata = row.closest('.section-metadata');
+    metadata.parentElement.replaceChildren(...content.cloneNode(true).children, metadata);
+  });
+}
+
+/**
+ * Reports a conversion for the first click on a link or button or the first form submission
+ * in main.
+ * @param {Element} main The main element
+ * @param {Object} detail The experiment and variant names
+ * @param {Function} sampleRUM The RUM util
+ */
+function trackConversions(main, detail, sampleRUM) {
+  const controller = new AbortController();
+  const convert = (e) => {
+    if (e.type === 'click' && !e.target.closest('a, button')) return;
+    sampleRUM('convert', detail);
+    controller.abort();
+  };
+  main.addEventListener('click', convert, { signal: controller.signal });
+  main.addEventListener('submit', convert, { signal: controller.signal });
+}
+
+/**
+ * Assigns the visitor to a variant of the page experiment and swaps in its content
+ * before main is decorated.
+ * @param {Document} doc The document
+ * @param {Object} utils The loader utilities
+ */
+export default async function runExperiment(doc, {
+  getMetadata, sampleRUM, toClassName,
+}) {
+  const experiment = parseExperiment(getMetadata('experiment'), toClassName);
+  const main = doc.querySelector('main');
+  if (!experiment || !main) return;
+
+  const variant = assignVariant(experiment);
+  if (variant.path) {
+    const content = await fetchVariant(variant.path);
+    if (!content) {
+      // eslint-disable-next-line no-console
+      console.warn(`experiment ${experiment.name}: variant ${variant.path} not found`);
+      return;
+    }
+    if (variant.path.includes('/fragments/')) {
+      replaceSections(main, content, experiment.name, toClassName);
+    } else {
+      main.replaceChildren(...content.childNodes);
+    }
+  }
+
+  const detail = { source: experiment.name, target: variant.name };
+  window.hlx.experiments = [...(window.hlx.experiments || []), {
+    ...experiment, variant: variant.name,
+  }];
+  doc.body.dataset.experiment = experiment.name;
+  doc.body.dataset.experimentVariant = variant.name;
+  sampleRUM('experiment', detail);
+  trackConversions(main, detail, sampleRUM);
+}
@@ -0,0 +1,29 @@
+/*
+ * Structured data debug view
+ * Shows the JSON-LD generated for the page, e.g. with ?structured-data=debug.
+ */
+
+/**
+ * Adds the structured data overlay and keeps it up to date.
+ * @param {Document} doc The document
+ * @param {Object} utils The loader utilities
+ */
+export default async function addStructuredDataDebug(doc, { loadCSS }) {
+  await loadCSS(`${window.hlx.codeBasePath}/plugins/structured-data-debug.css`);
+
+  const overlay = doc.createElement('details');
+  overlay.className = 'structured-data-debug';
+  overlay.open = true;
+  overlay.innerHTML = '<summary>Structured data</summary><pre></pre>';
+  const pre = overlay.querySelector('pre');
+  const show = (graph) => {
+    pre.textContent = graph
+      ? JSON.stringify(graph, null, 2)
+      : 'No structured data, see the structured-data metadata.';
+  };
+
+  const script = doc.head.querySelector('script[type="application/ld+json"][data-generated]');
+  show(script && JSON.parse(script.textContent)['@graph']);
+  doc.addEventListener('structured-data:change', (e) => show(e.detail.graph));
+  doc.body.append(overlay);
+}
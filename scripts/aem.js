@@ -52,6 +52,13 @@ function sampleRUM(checkpoint, data) {
         sampleRUM.baseURL = sampleRUM.baseURL || new URL(window.RUM_BASE || '/', new URL('https://rum.hlx.page'));
         sampleRUM.collectBaseURL = sampleRUM.collectBaseURL || sampleRUM.baseURL;
         sampleRUM.sendPing = (ck, time, pingData = {}) => {
+          // without analytics consent, pings are sent once consent is granted
+          // eslint-disable-next-line no-use-before-define
+          if (!hasConsent('analytics')) {
+            // eslint-disable-next-line no-use-before-define
+            onConsent('analytics', () => sampleRUM.sendPing(ck, time, pingData));
+            return;
+          }
           // eslint-disable-next-line max-len, object-curly-newline
           const rumData = JSON.stringify({
             weight,
@@ -72,6 +79,12 @@ function sampleRUM(checkpoint, data) {
         sampleRUM.sendPing('top', timeShift());
 
         sampleRUM.enhance = () => {
+          // eslint-disable-next-line no-use-before-define
+          if (!hasConsent('analytics')) {
+            // eslint-disable-next-line no-use-before-define
+            onConsent('analytics', sampleRUM.enhance);
+            return;
+          }
           const script = document.createElement('script');
           script.src = new URL(
             '.rum/@adobe/helix-rum-enhancer@^2/src/index.js',
@@ -101,6 +114,18 @@ function setup() {
   window.hlx.RUM_MASK_URL = 'full';
   window.hlx.RUM_MANUAL_ENHANCE = true;
   window.hlx.codeBasePath = '';
+  window.hlx.blockConcurrency = window.hlx.blockConcurrency || 4;
+  window.hlx.sectionRootMargin = window.hlx.sectionRootMargin || '0px 0px 300px 0px';
+  window.hlx.plugins = window.hlx.plugins || new Map();
+  window.hlx.templates = window.hlx.templates || [];
+  window.hlx.audiences = window.hlx.audiences || new Map();
+  window.hlx.structuredData = window.hlx.structuredData || [];
+  window.hlx.autoBlocks = window.hlx.autoBlocks || new Map();
+  window.hlx.defaultLocale = window.hlx.defaultLocale || 'en';
+  window.hlx.locales = window.hlx.locales || [];
+  window.hlx.avif = !!window.hlx.avif;
+  window.hlx.inlineIcons = window.hlx.inlineIcons !== false;
+  window.hlx.internalHosts = window.hlx.internalHosts || [];
   window.hlx.lighthouse = new URLSearchParams(window.location.search).get('lighthouse') === 'on';
 
   const scriptEl = document.querySelector('script[src$="/scripts/scripts.js"]');
@@ -123,6 +148,28 @@ function init() {
   sampleRUM();
 }
 
+/**
+ * Dispatches a loader lifecycle event on the document.
+ * Listen with `document.addEventListener('block:decorated', ({ detail }) => ...)`.
+ *
+ * Events:
+ * - `block:decorated` a block was loaded and decorated
+ *   `{ blockName, element, duration }`
+ * - `block:error` a block failed to load or decorate
+ *   `{ blockName, element, duration, error }`
+ * - `section:loaded` all blocks of a section are loaded and the section is shown
+ *   `{ element, blocks, duration }`
+ * - `page:eager-done` the eager phase (first section, LCP) is done `{ time }`
+ * - `page:lazy-done` the lazy phase (sections near the viewport) is done `{ time }`
+ *
+ * Durations and times are in milliseconds, relative to the page's time origin.
+ * @param {string} type The event type
+ * @param {Object} [detail] The event detail
+ */
+function dispatchLifecycleEvent(type, detail = {}) {
+  document.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
 /**
  * Sanitizes a string for use as class name.
  * @param {string} name The unsanitized string
@@ -147,14 +194,93 @@ function toCamelCase(name) {
   return toClassName(name).replace(/-([a-z])/g, (g) => g[1].toUpperCase());
 }
 
+/**
+ * Converts a camelCased js property name to a class name, e.g. showArrows to show-arrows.
+ * @param {string} name The camelCased name
+ * @returns {string} The class name
+ */
+function camelToClassName(name) {
+  return toClassName(name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`));
+}
+
+/**
+ * Checks whether the page is served from a preview or development environment.
+ * @returns {boolean} True on preview (*.hlx.page, *.aem.page) and localhost
+ */
+function isPreview() {
+  const { hostname } = window.location;
+  return hostname === 'localhost'
+    || hostname.endsWith('.hlx.page')
+    || hostname.endsWith('.aem.page');
+}
+
+const CONFIG_TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const CONFIG_FALSE_VALUES = ['false', 'no', 'off', '0'];
+
+/**
+ * Coerces a block config cell to the type declared in a config schema.
+ * @param {Element} col The config value cell
+ * @param {Object} field The schema field
+ * @returns {Object} Either `{ value }` or `{ error }`
+ */
+function coerceConfigValue(col, { type = 'string', values = [] }) {
+  const text = col.textContent.trim();
+  const toURL = (href) => new URL(href, window.location.href).href;
+  switch (type) {
+    case 'boolean':
+      if (CONFIG_TRUE_VALUES.includes(text.toLowerCase())) return { value: true };
+      if (CONFIG_FALSE_VALUES.includes(text.toLowerCase())) return { value: false };
+      return { error: `expected true or false, got "${text}"` };
+    case 'number': {
+      const value = Number(text);
+      return Number.isNaN(value) ? { error: `expected a number, got "${text}"` } : { value };
+    }
+    case 'enum': {
+      const value = toClassName(text);
+      return values.includes(value)
+        ? { value }
+        : { error: `expected one of ${values.join(', ')}, got "${text}"` };
+    }
+    case 'url':
+    case 'url[]': {
+      const links = [...col.querySelectorAll('a')].map((a) => a.getAttribute('href'));
+      const hrefs = links.length ? links : text.split(/[\s,]+/).filter((href) => href);
+      try {
+        const urls = hrefs.map(toURL);
+        return { value: type === 'url' ? urls[0] : urls };
+      } catch (error) {
+        return { error: `expected a URL, got "${text}"` };
+      }
+    }
+    case 'image': {
+      const img = col.querySelector('img');
+      return img ? { value: { src: img.src, alt: img.alt } } : { error: 'expected an image' };
+    }
+    case 'html':
+      return { value: col.innerHTML.trim() };
+    default:
+      return { value: text };
+  }
+}
+
 /**
  * Extracts the config from a block.
+ * Without a schema, values are strings or arrays of strings, depending on the cell content.
+ * With a schema, each declared key is coerced to its type, missing keys get their default and
+ * problems are collected in `errors`, e.g.
+ * `{ autoplay: { type: 'boolean', default: false }, source: { type: 'url', required: true } }`.
+ * Types: string (default), boolean, number, enum (with `values`), url, url[], image
+ * (`{ src, alt }`) and html.
  * @param {Element} block The block element
- * @returns {object} The block config
+ * @param {Object} [schema] The config schema, keyed by camelCased config name, e.g. `showArrows`
+ *   for the `Show Arrows` row
+ * @returns {object} The block config, or `{ config, errors }` with only the schema keys if a
+ *   schema is given
  */
 // eslint-disable-next-line import/prefer-default-export
-function readBlockConfig(block) {
+function readBlockConfig(block, schema) {
   const config = {};
+  const cells = {};
   block.querySelectorAll(':scope > div').forEach((row) => {
     if (row.children) {
       const cols = [...row.children];
@@ -185,10 +311,73 @@ function readBlockConfig(block) {
           }
         } else value = row.children[1].textContent;
         config[name] = value;
+        cells[name] = col;
       }
     }
   });
-  return config;
+  if (!schema) return config;
+
+  const typed = {};
+  const errors = [];
+  Object.entries(schema).forEach(([key, field]) => {
+    const col = cells[camelToClassName(key)];
+    const isEmpty = !col || (!col.textContent.trim() && !col.querySelector('img'));
+    if (isEmpty) {
+      if (field.required) errors.push({ key, message: 'is required' });
+      typed[key] = field.default;
+      return;
+    }
+    const { value, error } = coerceConfigValue(col, field);
+    if (error) {
+      errors.push({ key, message: error });
+      typed[key] = field.default;
+    } else {
+      typed[key] = value;
+    }
+  });
+  return { config: typed, errors };
+}
+
+/**
+ * Reads the variant classes of a block, e.g. `columns (ratio-1-2, gap-large)`, into an options
+ * object. The type of a declared default determines how a class is read:
+ * - boolean: `autoplay` sets `autoplay: true`, `no-header` sets `header: false`
+ * - number: `interval-5` sets `interval: 5`, `interval-2-5` sets `interval: 2.5`
+ * - string: `ratio-1-2` sets `ratio: '1-2'`, `media-right` sets `media: 'right'`
+ * Other classes are set to `true`, keyed by their camelCased name (`peek` sets `peek: true`).
+ * @param {Element} block The block element
+ * @param {Object} [defaults] Default option values, keyed by camelCased option name
+ * @returns {Object} The block options
+ */
+function readBlockOptions(block, defaults = {}) {
+  const blockName = block.dataset.blockName || block.classList[0];
+  const options = { ...defaults };
+  const keys = Object.keys(defaults)
+    .map((key) => ({ key, name: camelToClassName(key), type: typeof defaults[key] }))
+    // longest names first, so `gap-row` wins over `gap`
+    .sort((a, b) => b.name.length - a.name.length);
+
+  [...block.classList]
+    .filter((c) => c !== blockName && c !== 'block' && !c.startsWith(`${blockName}-`))
+    .forEach((c) => {
+      const option = keys.find(({ name, type }) => (type === 'boolean'
+        ? c === name || c === `no-${name}`
+        : c.startsWith(`${name}-`)));
+      if (!option) {
+        options[toCamelCase(c)] = true;
+      } else if (option.type === 'boolean') {
+        options[option.key] = c === option.name;
+      } else {
+        const value = c.substring(option.name.length + 1);
+        if (option.type === 'number') {
+          const number = Number(value.replace('-', '.'));
+          if (!Number.isNaN(number)) options[option.key] = number;
+        } else {
+          options[option.key] = value;
+        }
+      }
+    });
+  return options;
 }
 
 /**
@@ -249,12 +438,74 @@ function getMetadata(name, doc = document) {
   return meta || '';
 }
 
+const IMAGE_FOCUS_HINT = /\s*\(focus:\s*([^)]*)\)/i;
+const FOCUS_KEYWORDS = ['top', 'bottom', 'left', 'right', 'center'];
+
+/**
+ * Converts a focal point, e.g. `30% 20%`, `30 20`, `left top` or `left-top`,
+ * to an object-position value.
+ * @param {string} focus The focal point
+ * @returns {string} The object-position value, empty if the focal point is invalid
+ */
+function toObjectPosition(focus = '') {
+  const parts = `${focus}`.trim().toLowerCase().split(/[\s,-]+/).filter((part) => part);
+  const positions = parts.map((part) => {
+    if (FOCUS_KEYWORDS.includes(part)) return part;
+    const percent = parseFloat(part);
+    return /^\d+(\.\d+)?%?$/.test(part) && percent <= 100 ? `${percent}%` : null;
+  });
+  if (!positions.length || positions.length > 2 || positions.includes(null)) return '';
+  return positions.join(' ');
+}
+
+/**
+ * Extracts a focal point hint from an image alt text, e.g. "Our team (focus: 30% 20%)".
+ * @param {string} [alt] The alt text
+ * @returns {Object} `{ alt, focus }`, the alt text without the hint and the focal point as
+ * object-position value
+ */
+function parseImageFocus(alt = '') {
+  const match = alt.match(IMAGE_FOCUS_HINT);
+  if (!match) return { alt, focus: '' };
+  return { alt: alt.replace(IMAGE_FOCUS_HINT, ''), focus: toObjectPosition(match[1]) };
+}
+
 /**
- * Returns a picture element with webp and fallbacks
+ * Applies focal point hints to the images in an element, so cropping with object-fit keeps
+ * the subject in view. Hints in alt texts take precedence over the default focus, which
+ * blocks usually read from a `focus-*` variant (e.g. `hero (focus-left-top)`).
+ * @param {Element} element The element containing the images
+ * @param {string} [defaultFocus] The focal point for images without a hint
+ */
+function decorateImageFocus(element, defaultFocus = '') {
+  element.querySelectorAll('img').forEach((img) => {
+    const { alt, focus } = parseImageFocus(img.alt);
+    img.alt = alt;
+    const position = focus || toObjectPosition(defaultFocus);
+    if (position) img.style.objectPosition = position;
+  });
+}
+
+const DEFAULT_IMAGE_WIDTH = 750;
+
+/**
+ * Returns a picture element with webp (and optionally AVIF) sources and fallbacks.
+ * Each breakpoint can use its own image (art direction) and either a single `width`,
+ * `densities` with x descriptors (e.g. `{ width: 750, densities: [1, 2] }`) or
+ * `widths` with w descriptors and `sizes`
+ * (e.g. `{ widths: [400, 800, 1600], sizes: '(min-width: 900px) 50vw, 100vw' }`).
+ * Without `width`, the last of `widths` or a default width of 750 is used.
  * @param {string} src The image URL
  * @param {string} [alt] The image alternative text
  * @param {boolean} [eager] Set loading attribute to eager
- * @param {Array} [breakpoints] Breakpoints and corresponding params (eg. width)
+ * @param {Array} [breakpoints] Breakpoints and corresponding params
+ * (media, src, width, densities, widths, sizes)
+ * @param {Object} [options] Picture options
+ * @param {boolean} [options.avif] Add AVIF sources, defaults to window.hlx.avif
+ * @param {number|string} [options.width] Intrinsic width of the image, avoids layout shifts
+ * @param {number|string} [options.height] Intrinsic height of the image, avoids layout shifts
+ * @param {string} [options.focus] Focal point of the image, see decorateImageFocus. A
+ * `(focus: ...)` hint in the alt text takes precedence.
  * @returns {Element} The picture element
  */
 function createOptimizedPicture(
@@ -262,42 +513,168 @@ function createOptimizedPicture(
   alt = '',
   eager = false,
   breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  {
+    avif = window.hlx.avif, width, height, focus = '',
+  } = {},
 ) {
-  const url = !src.startsWith('http') ? new URL(src, window.location.href) : new URL(src);
   const picture = document.createElement('picture');
-  const { origin, pathname } = url;
-  const ext = pathname.split('.').pop();
-
-  // webp
-  breakpoints.forEach((br) => {
+  const hint = parseImageFocus(alt);
+  // breakpoints without a width use the last of their widths, or the default width
+  const normalizedBreakpoints = breakpoints.map((br) => {
+    const widths = Array.isArray(br.widths) && br.widths.length ? br.widths : undefined;
+    const densities = Array.isArray(br.densities) && br.densities.length ? br.densities : undefined;
+    const fallbackWidth = widths ? widths[widths.length - 1] : DEFAULT_IMAGE_WIDTH;
+    return {
+      ...br, widths, densities, width: br.width || fallbackWidth,
+    };
+  });
+  const getRendition = (br, format) => {
+    const imageSrc = br.src || src;
+    const url = !imageSrc.startsWith('http') ? new URL(imageSrc, window.location.href) : new URL(imageSrc);
+    const { origin, pathname } = url;
+    const ext = format || pathname.split('.').pop();
+    return (w) => `${origin}${pathname}?width=${w}&format=${ext}&optimize=medium`;
+  };
+  const getSrcset = (br, format) => {
+    const rendition = getRendition(br, format);
+    if (br.widths) return br.widths.map((w) => `${rendition(w)} ${w}w`).join(', ');
+    if (br.densities) {
+      return br.densities.map((d) => `${rendition(Math.round(br.width * d))} ${d}x`).join(', ');
+    }
+    return rendition(br.width);
+  };
+  const addSource = (br, type, format) => {
     const source = document.createElement('source');
     if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('type', 'image/webp');
-    source.setAttribute('srcset', `${origin}${pathname}?width=${br.width}&format=webply&optimize=medium`);
+    if (type) source.setAttribute('type', type);
+    source.setAttribute('srcset', getSrcset(br, format));
+    if (br.sizes) source.setAttribute('sizes', br.sizes);
     picture.appendChild(source);
-  });
+  };
+
+  // avif
+  if (avif) normalizedBreakpoints.forEach((br) => addSource(br, 'image/avif', 'avif'));
+
+  // webp
+  normalizedBreakpoints.forEach((br) => addSource(br, 'image/webp', 'webply'));
 
   // fallback
-  breakpoints.forEach((br, i) => {
-    if (i < breakpoints.length - 1) {
-      const source = document.createElement('source');
-      if (br.media) source.setAttribute('media', br.media);
-      source.setAttribute('srcset', `${origin}${pathname}?width=${br.width}&format=${ext}&optimize=medium`);
-      picture.appendChild(source);
+  normalizedBreakpoints.forEach((br, i) => {
+    if (i < normalizedBreakpoints.length - 1) {
+      addSource(br);
     } else {
       const img = document.createElement('img');
       img.setAttribute('loading', eager ? 'eager' : 'lazy');
-      img.setAttribute('alt', alt);
+      img.setAttribute('alt', hint.alt);
+      const position = hint.focus || toObjectPosition(focus);
+      if (position) img.style.objectPosition = position;
+      if (width && height) {
+        img.setAttribute('width', width);
+        img.setAttribute('height', height);
+      }
       picture.appendChild(img);
-      img.setAttribute('src', `${origin}${pathname}?width=${br.width}&format=${ext}&optimize=medium`);
+      if (br.widths || br.densities) {
+        img.setAttribute('srcset', getSrcset(br));
+        if (br.sizes) img.setAttribute('sizes', br.sizes);
+      }
+      img.setAttribute('src', getRendition(br)(br.width));
     }
   });
 
   return picture;
 }
 
+const COLOR_SCHEMES = ['light', 'dark'];
+const COLOR_SCHEME_STORAGE_KEY = 'color-scheme';
+const DARK_IMAGE_MARKER = /\s*\(dark\)\s*$/i;
+
+/**
+ * Returns the color scheme of the page: the visitor's saved choice, else the page's
+ * `color-scheme` metadata (light or dark), else the OS preference (prefers-color-scheme).
+ * @returns {string} light or dark
+ */
+function getColorScheme() {
+  try {
+    const saved = localStorage.getItem(COLOR_SCHEME_STORAGE_KEY);
+    if (COLOR_SCHEMES.includes(saved)) return saved;
+  } catch (e) {
+    // storage not available
+  }
+  const meta = toClassName(getMetadata('color-scheme'));
+  if (COLOR_SCHEMES.includes(meta)) return meta;
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+/**
+ * Applies the current color scheme as `data-color-scheme` on the root element and dispatches
+ * a `color-scheme:change` event with `{ scheme }` on the document.
+ */
+function applyColorScheme() {
+  const scheme = getColorScheme();
+  if (document.documentElement.dataset.colorScheme !== scheme) {
+    document.documentElement.dataset.colorScheme = scheme;
+    document.dispatchEvent(new CustomEvent('color-scheme:change', { detail: { scheme } }));
+  }
+}
+
+/**
+ * Saves the visitor's color scheme choice and applies it.
+ * @param {string} [scheme] light or dark, resets to the page default if omitted
+ */
+function setColorScheme(scheme) {
+  try {
+    if (COLOR_SCHEMES.includes(scheme)) localStorage.setItem(COLOR_SCHEME_STORAGE_KEY, scheme);
+    else localStorage.removeItem(COLOR_SCHEME_STORAGE_KEY);
+  } catch (e) {
+    // storage not available
+  }
+  applyColorScheme();
+}
+
+/**
+ * Switches between the light and dark color scheme.
+ */
+function toggleColorScheme() {
+  setColorScheme(getColorScheme() === 'dark' ? 'light' : 'dark');
+}
+
+/**
+ * Creates a button to switch between the light and dark color scheme.
+ * @param {string} [label] The accessible label of the button
+ * @returns {Element} The toggle button
+ */
+function createColorSchemeToggle(label = 'Dark mode') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'color-scheme-toggle';
+  button.setAttribute('aria-label', label);
+  const update = () => button.setAttribute('aria-pressed', getColorScheme() === 'dark');
+  update();
+  button.addEventListener('click', toggleColorScheme);
+  document.addEventListener('color-scheme:change', update);
+  return button;
+}
+
+/**
+ * Pairs dark variant images with their light counterpart, so only the one matching the
+ * color scheme is shown. Authors add the dark variant directly after the light image,
+ * with "(dark)" at the end of its alt text.
+ * @param {Element} element The element containing the images
+ */
+function decorateColorSchemeImages(element) {
+  const pictures = [...element.querySelectorAll('picture')];
+  pictures.forEach((picture, i) => {
+    const img = picture.querySelector('img');
+    if (!img || !DARK_IMAGE_MARKER.test(img.alt)) return;
+    img.alt = img.alt.replace(DARK_IMAGE_MARKER, '');
+    picture.dataset.colorScheme = 'dark';
+    const light = pictures[i - 1];
+    if (light && !light.dataset.colorScheme) light.dataset.colorScheme = 'light';
+  });
+}
+
 /**
- * Set template (page structure) and theme (page styles).
+ * Set template (page structure), theme (page styles) and color scheme.
  */
 function decorateTemplateAndTheme() {
   const addClasses = (element, classes) => {
@@ -309,6 +686,38 @@ function decorateTemplateAndTheme() {
   if (template) addClasses(document.body, template);
   const theme = getMetadata('theme');
   if (theme) addClasses(document.body, theme);
+  applyColorScheme();
+  window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', applyColorScheme);
+}
+
+/**
+ * Loads the JS and CSS of the page template(s) from
+ * /templates/<name>/<name>.js and /templates/<name>/<name>.css.
+ * Only templates listed in window.hlx.templates ship code, others are just a body class.
+ * The default export of the template module is called with the main element before blocks are
+ * loaded, so it can restructure the page (e.g. move sections into an aside).
+ * @param {Element} main The main element
+ */
+async function loadTemplate(main) {
+  const templates = getMetadata('template')
+    .split(',')
+    .map((template) => toClassName(template.trim()))
+    .filter((template) => window.hlx.templates.includes(template));
+  await Promise.all(templates.map(async (template) => {
+    const base = `${window.hlx.codeBasePath}/templates/${template}/${template}`;
+    const cssLoaded = loadCSS(`${base}.css`).catch(() => {
+      // eslint-disable-next-line no-console
+      console.log(`failed to load css for template ${template}`);
+    });
+    try {
+      const mod = await import(`${base}.js`);
+      if (mod.default) await mod.default(main);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.log(`failed to load module for template ${template}`, error);
+    }
+    await cssLoaded;
+  }));
 }
 
 /**
@@ -353,51 +762,182 @@ function wrapTextNodes(block) {
   });
 }
 
+const DOWNLOAD_EXTENSIONS = ['pdf', 'zip', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'csv'];
+
+/**
+ * Formats a file size for the page locale, e.g. 1.2 MB.
+ * @param {number} bytes The file size in bytes
+ * @returns {string} The formatted file size
+ */
+function formatFileSize(bytes) {
+  const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+    style: 'unit',
+    unit: units[exponent],
+    unitDisplay: 'short',
+    maximumFractionDigits: 1,
+  }).format(bytes / 1024 ** exponent);
+}
+
+/**
+ * Adds the download attribute and a file type label to links to documents, e.g. PDFs.
+ * For same origin files, the file size is added to the label once known.
+ * @param {Element} a The link
+ */
+function decorateDownloadLink(a) {
+  let url;
+  try {
+    url = new URL(a.href);
+  } catch (e) {
+    // anchors without href
+    return;
+  }
+  const ext = url.pathname.includes('.') ? url.pathname.split('.').pop().toLowerCase() : '';
+  if (!DOWNLOAD_EXTENSIONS.includes(ext)) return;
+  a.setAttribute('download', '');
+  const info = document.createElement('span');
+  info.className = 'button-file-info';
+  info.textContent = ext.toUpperCase();
+  a.append(' ', info);
+  if (url.origin === window.location.origin) {
+    fetch(url.href, { method: 'HEAD' })
+      .then((resp) => {
+        const size = Number(resp.headers.get('content-length'));
+        if (resp.ok && size) info.textContent = `${ext.toUpperCase()}, ${formatFileSize(size)}`;
+      })
+      .catch(() => {
+        // keep the file type only
+      });
+  }
+}
+
 /**
  * Decorates paragraphs containing a single link as buttons.
+ * - link: default button
+ * - <strong> link: primary, <em> link: secondary, <strong><em> link: tertiary
+ * - icons before or after the link become part of the button
+ * - links to documents (e.g. PDFs) get the download attribute and a file type and size label
+ * - adjacent button paragraphs are merged into one button group
  * @param {Element} element container element
  */
 function decorateButtons(element) {
+  const isIcon = (node) => node.nodeType === Node.ELEMENT_NODE && node.matches('span.icon');
+  const isBlank = (node) => node.nodeType === Node.TEXT_NODE && !node.textContent.trim();
+  // only whitespace and icons next to the element
+  const isAlone = (el) => [...el.parentElement.childNodes]
+    .every((node) => node === el || isIcon(node) || isBlank(node));
+  const isEmphasis = (el) => el && (el.tagName === 'STRONG' || el.tagName === 'EM');
+
   element.querySelectorAll('a').forEach((a) => {
     a.title = a.title || a.textContent;
-    if (a.href !== a.textContent) {
-      const up = a.parentElement;
-      const twoup = a.parentElement.parentElement;
-      if (!a.querySelector('img')) {
-        if (up.childNodes.length === 1 && (up.tagName === 'P' || up.tagName === 'DIV')) {
-          a.className = 'button'; // default
-          up.classList.add('button-container');
-        }
-        if (
-          up.childNodes.length === 1
-          && up.tagName === 'STRONG'
-          && twoup.childNodes.length === 1
-          && twoup.tagName === 'P'
-        ) {
-          a.className = 'button primary';
-          twoup.classList.add('button-container');
-        }
-        if (
-          up.childNodes.length === 1
-          && up.tagName === 'EM'
-          && twoup.childNodes.length === 1
-          && twoup.tagName === 'P'
-        ) {
-          a.className = 'button secondary';
-          twoup.classList.add('button-container');
-        }
-      }
+    if (a.href === a.textContent || a.querySelector('img') || !isAlone(a)) return;
+    const up = a.parentElement;
+    const twoup = up.parentElement;
+    const threeup = twoup && twoup.parentElement;
+    let container;
+    if (up.tagName === 'P' || up.tagName === 'DIV') {
+      a.className = 'button'; // default
+      container = up;
+    } else if (isEmphasis(up) && isAlone(up) && twoup && twoup.tagName === 'P') {
+      a.className = `button ${up.tagName === 'STRONG' ? 'primary' : 'secondary'}`;
+      container = twoup;
+    } else if (
+      isEmphasis(up)
+      && isEmphasis(twoup)
+      && up.tagName !== twoup.tagName
+      && isAlone(twoup)
+      && threeup
+      && threeup.tagName === 'P'
+    ) {
+      a.className = 'button tertiary';
+      container = threeup;
+    }
+    if (!container) return;
+    container.classList.add('button-container');
+
+    const icons = [...container.querySelectorAll('span.icon')].filter((icon) => !a.contains(icon));
+    // eslint-disable-next-line no-bitwise
+    const isLeading = (icon) => icon.compareDocumentPosition(a) & Node.DOCUMENT_POSITION_FOLLOWING;
+    const leading = icons.filter(isLeading);
+    const trailing = icons.filter((icon) => !isLeading(icon));
+    a.prepend(...leading);
+    a.append(...trailing);
+    decorateDownloadLink(a);
+  });
+
+  // only paragraphs are grouped, block cells keep their structure
+  element.querySelectorAll('p.button-container').forEach((container) => {
+    const previous = container.previousElementSibling;
+    if (previous && previous.matches('p.button-container')) {
+      previous.classList.add('button-group');
+      previous.append(...container.childNodes);
+      container.remove();
     }
   });
 }
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const ICONS_CACHE = {};
+
+/**
+ * Returns the hidden SVG sprite holding the symbols of inline icons, creates it if needed.
+ * @returns {Element} The sprite element
+ */
+function getIconsSprite() {
+  let sprite = document.getElementById('icons-sprite');
+  if (!sprite) {
+    sprite = document.createElementNS(SVG_NS, 'svg');
+    sprite.id = 'icons-sprite';
+    sprite.setAttribute('aria-hidden', 'true');
+    sprite.setAttribute('width', '0');
+    sprite.setAttribute('height', '0');
+    sprite.style.position = 'absolute';
+    document.body.prepend(sprite);
+  }
+  return sprite;
+}
+
 /**
- * Add <img> for icon, prefixed with codeBasePath and optional prefix.
+ * Fetches an SVG icon once and adds it to the icons sprite as a symbol.
+ * Icons with their own styles are not added, as the styles would leak into the page.
+ * @param {string} src URL of the SVG icon
+ * @param {string} id ID of the symbol
+ * @returns {Promise<boolean>} Whether the symbol is available
+ */
+async function loadIconSymbol(src, id) {
+  if (!ICONS_CACHE[src]) {
+    ICONS_CACHE[src] = fetch(src)
+      .then((resp) => (resp.ok ? resp.text() : ''))
+      .then((text) => {
+        const icon = new DOMParser().parseFromString(text, 'image/svg+xml').querySelector('svg');
+        if (!icon || icon.querySelector('style')) return false;
+        const symbol = document.createElementNS(SVG_NS, 'symbol');
+        symbol.id = id;
+        const width = icon.getAttribute('width');
+        const height = icon.getAttribute('height');
+        const viewBox = icon.getAttribute('viewBox') || (width && height && `0 0 ${width} ${height}`);
+        if (viewBox) symbol.setAttribute('viewBox', viewBox);
+        symbol.append(...icon.childNodes);
+        getIconsSprite().append(symbol);
+        return true;
+      })
+      .catch(() => false);
+  }
+  return ICONS_CACHE[src];
+}
+
+/**
+ * Add icon, prefixed with codeBasePath and optional prefix.
+ * Inline icons are rendered as <svg> referencing a shared sprite, so they can be styled with
+ * currentColor. If the SVG cannot be inlined, the icon falls back to an <img>.
  * @param {Element} [span] span element with icon classes
  * @param {string} [prefix] prefix to be added to icon src
  * @param {string} [alt] alt text to be added to icon
+ * @param {boolean} [inline] Render an inline <svg> instead of an <img>, defaults to
+ * window.hlx.inlineIcons
  */
-function decorateIcon(span, prefix = '', alt = '') {
+function decorateIcon(span, prefix = '', alt = '', inline = window.hlx.inlineIcons) {
   const iconName = Array.from(span.classList)
     .find((c) => c.startsWith('icon-'))
     .substring(5);
@@ -406,27 +946,156 @@ function decorateIcon(span, prefix = '', alt = '') {
   img.src = `${window.hlx.codeBasePath}${prefix}/icons/${iconName}.svg`;
   img.alt = alt;
   img.loading = 'lazy';
-  span.append(img);
+  if (!inline) {
+    span.append(img);
+    return;
+  }
+
+  const id = `icons-sprite-${toClassName(`${prefix} ${iconName}`)}`;
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.dataset.iconName = iconName;
+  if (alt) {
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', alt);
+  } else {
+    svg.setAttribute('aria-hidden', 'true');
+  }
+  const use = document.createElementNS(SVG_NS, 'use');
+  use.setAttribute('href', `#${id}`);
+  svg.append(use);
+  span.append(svg);
+  loadIconSymbol(img.src, id).then((available) => {
+    if (!available) svg.replaceWith(img);
+  });
 }
 
 /**
- * Add <img> for icons, prefixed with codeBasePath and optional prefix.
+ * Add icons, prefixed with codeBasePath and optional prefix.
  * @param {Element} [element] Element containing icons
  * @param {string} [prefix] prefix to be added to icon the src
+ * @param {boolean} [inline] Render inline <svg> icons, defaults to window.hlx.inlineIcons
  */
-function decorateIcons(element, prefix = '') {
+function decorateIcons(element, prefix = '', inline = window.hlx.inlineIcons) {
   const icons = [...element.querySelectorAll('span.icon')];
   icons.forEach((span) => {
-    decorateIcon(span, prefix);
+    decorateIcon(span, prefix, '', inline);
   });
 }
 
+/**
+ * Returns the offset of a time zone from UTC at a point in time, in milliseconds.
+ * @param {number} timestamp The point in time
+ * @param {string} timeZone IANA time zone, e.g. Europe/Berlin
+ * @returns {number} The offset
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(timestamp).map(({ type, value }) => [type, Number(value)]));
+  const { year, month, day } = parts;
+  return Date.UTC(year, month - 1, day, parts.hour, parts.minute, parts.second) - timestamp;
+}
+
+const SCHEDULE_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?\s*(.*)$/;
+
+/**
+ * Parses a schedule date such as `2026-12-24`, `2026-12-24 18:00 Europe/Berlin` or
+ * `2026-12-24T18:00+01:00`. Dates without time zone are UTC.
+ * @param {string} value The authored date
+ * @returns {Date} The date, or null if it cannot be parsed
+ */
+function parseScheduleDate(value) {
+  const match = value.trim().match(SCHEDULE_DATE);
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map((n) => Number(n || 0));
+  const utc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  // a + in the preview-date URL parameter arrives as a space
+  const zone = match[7].replace(/^(\d{2}:?\d{2})$/, '+$1');
+  if (!zone || /^(z|utc|gmt)$/i.test(zone)) return new Date(utc);
+  const offset = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (offset) {
+    const sign = offset[1] === '-' ? -1 : 1;
+    return new Date(utc - sign * (Number(offset[2]) * 60 + Number(offset[3])) * 60000);
+  }
+  try {
+    const guess = utc - getTimeZoneOffset(utc, zone);
+    return new Date(utc - getTimeZoneOffset(guess, zone));
+  } catch (error) {
+    // unknown time zone
+    return null;
+  }
+}
+
+/**
+ * Checks whether scheduled content is live. The current date can be overridden with the
+ * preview-date URL parameter to check future or past campaigns. Content with a start or end
+ * date that cannot be parsed is hidden, so a typo never publishes a campaign early or keeps
+ * it online; on preview, the invalid date is logged.
+ * @param {string} [showFrom] The authored start date
+ * @param {string} [showUntil] The authored end date
+ * @returns {boolean} True if the content should be shown
+ */
+function isScheduledVisible(showFrom, showUntil) {
+  const previewDate = new URLSearchParams(window.location.search).get('preview-date');
+  const now = (previewDate && parseScheduleDate(previewDate)) || new Date();
+  const from = showFrom && parseScheduleDate(showFrom);
+  const until = showUntil && parseScheduleDate(showUntil);
+  if ((showFrom && !from) || (showUntil && !until)) {
+    if (isPreview()) {
+      // eslint-disable-next-line no-console
+      console.warn(`invalid schedule date in "${showFrom || ''}" to "${showUntil || ''}", content hidden`);
+    }
+    return false;
+  }
+  return (!from || from <= now) && (!until || now < until);
+}
+
+/**
+ * Adds a background image or video to a section. Images are optimized with
+ * createOptimizedPicture, videos (mp4, webm) play muted in a loop unless the visitor prefers
+ * reduced motion.
+ * @param {Element} section The section element
+ * @param {string} src The image or video URL
+ * @param {boolean} eager load the image eager
+ */
+function decorateSectionBackground(section, src, eager) {
+  const background = document.createElement('div');
+  background.className = 'section-background';
+  const { pathname } = new URL(src, window.location.href);
+  const ext = pathname.split('.').pop().toLowerCase();
+  if (ext === 'mp4' || ext === 'webm') {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.setAttribute('muted', '');
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = 'metadata';
+    video.autoplay = !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const source = document.createElement('source');
+    source.src = src;
+    source.type = `video/${ext}`;
+    video.append(source);
+    background.append(video);
+  } else {
+    background.append(createOptimizedPicture(src, '', eager));
+  }
+  section.classList.add('has-background');
+  section.prepend(background);
+}
+
 /**
  * Decorates all sections in a container element.
  * @param {Element} main The container element
  */
 function decorateSections(main) {
-  main.querySelectorAll(':scope > div').forEach((section) => {
+  main.querySelectorAll(':scope > div').forEach((section, index) => {
     const wrappers = [];
     let defaultContent = false;
     [...section.children].forEach((e) => {
@@ -454,22 +1123,68 @@ function decorateSections(main) {
             .filter((style) => style)
             .map((style) => toClassName(style.trim()));
           styles.forEach((style) => section.classList.add(style));
-        } else {
-          section.dataset[toCamelCase(key)] = meta[key];
+          return;
         }
+        const value = Array.isArray(meta[key]) ? meta[key][0] : meta[key];
+        if (key === 'background' && value) {
+          decorateSectionBackground(section, value, index === 0);
+        } else if (key === 'id' && value) {
+          section.id = toClassName(value);
+        } else if ((key === 'layout' || key === 'spacing') && value) {
+          section.classList.add(`${key}-${toClassName(value)}`);
+        }
+        section.dataset[toCamelCase(key)] = meta[key];
       });
       sectionMeta.parentNode.remove();
+      if (!isScheduledVisible(meta['show-from'], meta['show-until'])) section.remove();
     }
   });
 }
 
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
 /**
- * Gets placeholders object.
- * @param {string} [prefix] Location of placeholders
+ * Normalizes a locale to a BCP 47 language tag, e.g. de_ch or de-ch to de-CH.
+ * @param {string} locale The locale
+ * @returns {string} The normalized locale
+ */
+function normalizeLocale(locale) {
+  const [language, region] = locale.trim().split(/[-_]/);
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Returns the locale of the page: the `locale` metadata, else the locale in the path prefix
+ * (e.g. /de/ or /de-ch/) if it is listed in window.hlx.locales, else window.hlx.defaultLocale.
+ * @returns {string} The locale, e.g. de-CH
+ */
+function getLocale() {
+  const meta = getMetadata('locale');
+  if (meta) return normalizeLocale(meta);
+  const [, prefix] = window.location.pathname.match(/^\/([a-z]{2}(?:[-_][a-z]{2})?)(?:\/|$)/i) || [];
+  if (prefix) {
+    const locale = normalizeLocale(prefix);
+    if (window.hlx.locales.map(normalizeLocale).includes(locale)) return locale;
+  }
+  return window.hlx.defaultLocale;
+}
+
+/**
+ * Sets the lang and dir attributes of the document from the page locale.
+ * @param {Document} [doc] The document
+ */
+function decorateLocale(doc = document) {
+  const locale = getLocale();
+  doc.documentElement.lang = locale;
+  doc.documentElement.dir = RTL_LANGUAGES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Gets the placeholders of a single location.
+ * @param {string} prefix Location of placeholders
  * @returns {object} Window placeholders object
  */
-// eslint-disable-next-line import/prefer-default-export
-async function fetchPlaceholders(prefix = 'default') {
+async function fetchPlaceholdersFile(prefix) {
   window.placeholders = window.placeholders || {};
   if (!window.placeholders[prefix]) {
     window.placeholders[prefix] = new Promise((resolve) => {
@@ -500,6 +1215,473 @@ async function fetchPlaceholders(prefix = 'default') {
   return window.placeholders[`${prefix}`];
 }
 
+/**
+ * Gets placeholders object.
+ * Without a prefix, the placeholders of the page locale are loaded, falling back to its
+ * language and the default placeholders, e.g. /de-ch, /de, then /placeholders.json.
+ * @param {string} [prefix] Location of placeholders
+ * @returns {object} Window placeholders object
+ */
+// eslint-disable-next-line import/prefer-default-export
+async function fetchPlaceholders(prefix) {
+  if (prefix) return fetchPlaceholdersFile(prefix);
+
+  const locale = getLocale();
+  const [language] = locale.split('-');
+  const defaultLocale = normalizeLocale(window.hlx.defaultLocale);
+  const prefixes = [...new Set([locale, language])]
+    .filter((l) => l !== defaultLocale)
+    .map((l) => `/${l.toLowerCase()}`);
+  if (!prefixes.length) return fetchPlaceholdersFile('default');
+
+  const key = `locale:${locale}`;
+  window.placeholders = window.placeholders || {};
+  if (!window.placeholders[key]) {
+    window.placeholders[key] = Promise.all([...prefixes, 'default'].map(fetchPlaceholdersFile))
+      .then((all) => {
+        window.placeholders[key] = Object.assign({}, ...all.reverse());
+        return window.placeholders[key];
+      });
+  }
+  return window.placeholders[key];
+}
+
+/**
+ * Returns the index of the brace closing the one at `start`.
+ * @param {string} message The message
+ * @param {number} start The index of the opening brace
+ * @returns {number} The index of the closing brace, -1 if there is none
+ */
+function findClosingBrace(message, start) {
+  let depth = 0;
+  for (let i = start; i < message.length; i += 1) {
+    if (message[i] === '{') depth += 1;
+    if (message[i] === '}') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses the options of a plural or select argument, e.g. `one {# item} other {# items}`.
+ * @param {string} text The options
+ * @returns {object} The option messages, keyed by selector
+ */
+function parseMessageOptions(text = '') {
+  const options = {};
+  let rest = text.trim();
+  let match = rest.match(/^(=?[\w-]+)\s*\{/);
+  while (match) {
+    const open = match[0].length - 1;
+    const close = findClosingBrace(rest, open);
+    if (close < 0) break;
+    options[match[1]] = rest.substring(open + 1, close);
+    rest = rest.substring(close + 1).trim();
+    match = rest.match(/^(=?[\w-]+)\s*\{/);
+  }
+  return options;
+}
+
+/**
+ * Formats a message with named parameters, e.g. `{index} of {total}`, in the given locale.
+ * Supports ICU-style arguments:
+ * - `{count, plural, =0 {no items} one {# item} other {# items}}`
+ * - `{gender, select, female {her} male {his} other {their}}`
+ * - `{amount, number}`, `{share, number, percent}`, `{amount, number, integer}`
+ * - `{day, date}` or `{day, date, short}`, `{start, time}` or `{start, time, short}`
+ * Numbers and dates passed as plain parameters are formatted for the locale.
+ * Parameters that are not given, or cannot be formatted, are left in the message as is.
+ * @param {string} message The message
+ * @param {object} [params] The parameter values, keyed by name
+ * @param {string} [locale] The locale, defaults to the page locale
+ * @returns {string} The formatted message
+ */
+function formatMessage(message, params = {}, locale = getLocale()) {
+  const formatArgument = (arg) => {
+    const [, name, type, style] = arg.match(/^\s*([\w-]+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/) || [];
+    const value = name ? params[name] : undefined;
+    if (value === undefined) return `{${arg}}`;
+    const numberFormat = new Intl.NumberFormat(locale);
+    switch (type) {
+      case 'plural': {
+        const options = parseMessageOptions(style);
+        const n = Number(value);
+        const branch = options[`=${n}`]
+          ?? options[new Intl.PluralRules(locale).select(n)]
+          ?? options.other
+          ?? '';
+        return formatMessage(branch.replace(/#/g, numberFormat.format(n)), params, locale);
+      }
+      case 'select': {
+        const options = parseMessageOptions(style);
+        return formatMessage(options[value] ?? options.other ?? '', params, locale);
+      }
+      case 'number': {
+        const format = style && style.trim();
+        if (format === 'percent') return new Intl.NumberFormat(locale, { style: 'percent' }).format(value);
+        if (format === 'integer') {
+          return new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(value);
+        }
+        return numberFormat.format(value);
+      }
+      case 'date':
+      case 'time': {
+        const option = type === 'date' ? 'dateStyle' : 'timeStyle';
+        const format = (style && style.trim()) || 'medium';
+        return new Intl.DateTimeFormat(locale, { [option]: format }).format(new Date(value));
+      }
+      default:
+        if (typeof value === 'number') return numberFormat.format(value);
+        if (value instanceof Date) return new Intl.DateTimeFormat(locale).format(value);
+        return `${value}`;
+    }
+  };
+  const formatArgumentSafely = (arg) => {
+    try {
+      return formatArgument(arg);
+    } catch (e) {
+      // invalid style or value, leave the argument as is
+      return `{${arg}}`;
+    }
+  };
+
+  let result = '';
+  let index = 0;
+  let open = message.indexOf('{');
+  while (open >= 0) {
+    const close = findClosingBrace(message, open);
+    if (close < 0) break;
+    result += message.substring(index, open)
+      + formatArgumentSafely(message.substring(open + 1, close));
+    index = close + 1;
+    open = message.indexOf('{', index);
+  }
+  return result + message.substring(index);
+}
+
+/**
+ * Creates a function that formats placeholders with parameters, see formatMessage.
+ * @param {object} placeholders The placeholders, as returned by fetchPlaceholders
+ * @param {string} [locale] The locale, defaults to the page locale
+ * @returns {Function} `(key, params, fallback) => string`, using the fallback message if the
+ * placeholder is missing
+ */
+function createPlaceholderFormatter(placeholders, locale = getLocale()) {
+  return (key, params = {}, fallback = key) => formatMessage(
+    placeholders[key] || fallback,
+    params,
+    locale,
+  );
+}
+
+const PLACEHOLDER_TOKEN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Replaces placeholder tokens such as `{{company-name}}` in text, link hrefs and image alt texts
+ * with the values from fetchPlaceholders. Missing placeholders are removed, except on preview,
+ * where the token is kept so authors can spot it.
+ * @param {Element} element The container element
+ */
+async function decoratePlaceholders(element) {
+  const html = element.innerHTML;
+  if (!html.includes('{{') && !html.includes('%7B%7B')) return;
+
+  const placeholders = await fetchPlaceholders();
+  const preview = isPreview();
+  const replaceTokens = (text) => text.replace(PLACEHOLDER_TOKEN, (token, key) => {
+    const value = placeholders[toCamelCase(key)];
+    if (value !== undefined) return value;
+    return preview ? token : '';
+  });
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  let node = walker.nextNode();
+  while (node) {
+    if (node.nodeValue.includes('{{')) node.nodeValue = replaceTokens(node.nodeValue);
+    node = walker.nextNode();
+  }
+  element.querySelectorAll('a[href]').forEach((a) => {
+    let href = a.getAttribute('href');
+    try {
+      href = decodeURI(href);
+    } catch (e) {
+      // keep the href as is
+    }
+    if (href.includes('{{')) a.setAttribute('href', replaceTokens(href));
+  });
+  element.querySelectorAll('img[alt*="{{"]').forEach((img) => {
+    img.alt = replaceTokens(img.alt);
+  });
+}
+
+/**
+ * Checks whether a URL points to another site. The host of the page and the hosts in
+ * window.hlx.internalHosts, including their subdomains, are internal.
+ * @param {URL} url The URL
+ * @returns {boolean} True for links to other sites
+ */
+function isExternalUrl(url) {
+  if (!url.protocol.startsWith('http')) return false;
+  const hosts = [window.location.hostname, ...window.hlx.internalHosts];
+  return !hosts.some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Decorates links according to the link policy:
+ * - links to other sites open in a new tab with rel="noopener noreferrer", an external link
+ *   icon and screen reader text
+ * - mailto: and tel: links are styled and tracked with a contact checkpoint
+ * The screen reader text of external links gets the `opens-in-new-tab` placeholder once the
+ * placeholders are loaded, so decoration does not wait for them.
+ * @param {Element} element The container element
+ */
+function decorateLinks(element) {
+  const external = [];
+  element.querySelectorAll('a[href]').forEach((a) => {
+    let url;
+    try {
+      url = new URL(a.href);
+    } catch (e) {
+      return;
+    }
+    if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+      const type = url.protocol === 'mailto:' ? 'email' : 'phone';
+      let address = url.pathname;
+      try {
+        address = decodeURIComponent(address);
+      } catch (e) {
+        // keep the address as is
+      }
+      if (a.textContent.trim() === a.getAttribute('href')) a.textContent = address;
+      if (type === 'phone') a.href = `tel:${address.replace(/[^\d+]/g, '')}`;
+      a.classList.add(`link-${type}`);
+      const icon = document.createElement('span');
+      icon.className = `icon icon-${type}`;
+      a.prepend(icon);
+      a.addEventListener('click', () => {
+        sampleRUM('contact', { source: type, target: a.href.split('?')[0] });
+      });
+    } else if (isExternalUrl(url) && !a.target) {
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+      a.classList.add('link-external');
+      if (a.textContent.trim() && !a.querySelector('img')) external.push(a);
+    }
+  });
+  if (!external.length) return;
+
+  const labels = external.map((a) => {
+    const icon = document.createElement('span');
+    icon.className = 'icon icon-external-link';
+    const label = document.createElement('span');
+    label.className = 'link-external-label';
+    label.textContent = ' (opens in a new tab)';
+    a.append(icon, label);
+    return label;
+  });
+  fetchPlaceholders().then(({ opensInNewTab }) => {
+    if (!opensInNewTab) return;
+    labels.forEach((label) => {
+      label.textContent = ` ${opensInNewTab}`;
+    });
+  });
+}
+
+const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing', 'media'];
+
+/**
+ * Returns the stored consent choice, if it was made for the current version of the consent
+ * policy, the `consent-version` metadata.
+ * @param {boolean} [anyVersion] Also return choices made for other versions
+ * @returns {Object} The stored choice with version and categories, or null
+ */
+function getStoredConsent(anyVersion = false) {
+  try {
+    const stored = JSON.parse(localStorage.getItem('consent'));
+    const version = getMetadata('consent-version') || '1';
+    const isCurrent = anyVersion || (stored && stored.version === version);
+    return isCurrent && stored.categories ? stored : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the consent of the visitor per category: necessary, analytics, marketing and media.
+ * Necessary is always granted. Consent is managed if the `consent` metadata points to the
+ * consent banner fragment. A choice the visitor saved always applies, also on pages without
+ * the banner. Without a saved choice, all categories are granted unless consent is managed.
+ * @returns {Object} The consent per category, e.g. `{ necessary: true, media: false, ... }`
+ */
+function getConsent() {
+  if (!window.hlx.consent) {
+    const managed = !!getMetadata('consent');
+    const stored = getStoredConsent(!managed);
+    window.hlx.consent = Object.fromEntries(CONSENT_CATEGORIES
+      .map((category) => [category, stored ? !!stored.categories[category] : !managed]));
+    window.hlx.consent.necessary = true;
+  }
+  return { ...window.hlx.consent };
+}
+
+/**
+ * Checks whether the visitor made a consent choice for the current version of the
+ * consent policy.
+ * @returns {boolean} True if the visitor made a choice
+ */
+function hasConsentChoice() {
+  return !!getStoredConsent();
+}
+
+/**
+ * Checks whether the visitor consented to a category.
+ * @param {string} category The consent category
+ * @returns {boolean} True if the visitor consented
+ */
+function hasConsent(category) {
+  return !!getConsent()[category];
+}
+
+/**
+ * Stores the consent of the visitor with the version of the consent policy and dispatches
+ * a `consent:change` event with `{ categories, version }` on the document.
+ * @param {Object} categories The consent per category, e.g. `{ media: true }`,
+ * other categories are kept
+ */
+function setConsent(categories) {
+  const consent = { ...getConsent(), ...categories, necessary: true };
+  const version = getMetadata('consent-version') || '1';
+  window.hlx.consent = consent;
+  try {
+    localStorage.setItem('consent', JSON.stringify({
+      version,
+      categories: consent,
+      time: new Date().toISOString(),
+    }));
+  } catch (e) {
+    // consent for this page view only
+  }
+  document.dispatchEvent(new CustomEvent('consent:change', {
+    detail: { categories: consent, version },
+  }));
+}
+
+/**
+ * Calls back once the visitor consented to a category, right away if they already did.
+ * @param {string} category The consent category
+ * @param {Function} callback The callback
+ */
+function onConsent(category, callback) {
+  if (hasConsent(category)) {
+    callback();
+    return;
+  }
+  const listener = () => {
+    if (!hasConsent(category)) return;
+    document.removeEventListener('consent:change', listener);
+    callback();
+  };
+  document.addEventListener('consent:change', listener);
+}
+
+/**
+ * Loads third-party content once the visitor consented to its category. Until then, a consent
+ * required placeholder is shown in the container, with a button that grants consent and loads
+ * the content in place.
+ * @param {Element} container The element to show the placeholder in
+ * @param {string} category The consent category, e.g. media
+ * @param {string} provider The name of the third party, e.g. YouTube
+ * @param {Function} load Loads the content
+ * @returns {Promise} Resolves once the content or the placeholder is shown
+ */
+async function requireConsent(container, category, provider, load) {
+  if (hasConsent(category)) {
+    load();
+    return;
+  }
+  const format = createPlaceholderFormatter(await fetchPlaceholders());
+  const placeholder = document.createElement('div');
+  placeholder.className = 'consent-placeholder';
+  placeholder.dataset.consentCategory = category;
+  const text = document.createElement('p');
+  text.textContent = format(
+    'consentRequired',
+    { provider, category },
+    'This content is provided by {provider}. Allow {category} content to view it.',
+  );
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = format('consentAllow', { provider, category }, 'Allow and load');
+  button.addEventListener('click', () => setConsent({ [category]: true }));
+  placeholder.append(text, button);
+  container.append(placeholder);
+  onConsent(category, () => {
+    placeholder.remove();
+    load();
+  });
+}
+
+/**
+ * Builds the schema.org node of the page from its metadata: an Article if the
+ * `structured-data` metadata is `article`, or the page is an article by `og:type` or template,
+ * otherwise a WebPage.
+ * @returns {Object} The page node
+ */
+function getPageStructuredData() {
+  const canonical = document.querySelector('link[rel="canonical"]');
+  const url = canonical ? canonical.href : `${window.location.origin}${window.location.pathname}`;
+  const type = toClassName(getMetadata('structured-data'));
+  const isArticle = type === 'article' || (type !== 'webpage' && (getMetadata('og:type') === 'article'
+    || toClassName(getMetadata('template')) === 'article'));
+  const title = getMetadata('og:title') || document.title;
+  const authors = getMetadata('author').split(',').map((name) => name.trim()).filter((name) => name)
+    .map((name) => ({ '@type': 'Person', name }));
+  const node = {
+    '@type': isArticle ? 'Article' : 'WebPage',
+    '@id': `${url}#${isArticle ? 'article' : 'webpage'}`,
+    url,
+    [isArticle ? 'headline' : 'name']: title,
+    description: getMetadata('description') || undefined,
+    image: getMetadata('og:image') || undefined,
+    inLanguage: document.documentElement.lang || undefined,
+    author: authors.length > 1 ? authors : authors[0],
+    datePublished: getMetadata('publication-date') || getMetadata('article:published_time') || undefined,
+    dateModified: getMetadata('modified-date') || getMetadata('article:modified_time') || undefined,
+  };
+  if (isArticle) node.mainEntityOfPage = url;
+  return node;
+}
+
+/**
+ * Writes the structured data of the page as JSON-LD: the page node from the metadata and the
+ * nodes contributed by blocks. Dispatches a `structured-data:change` event with `{ graph }`.
+ * Pages opt out with the `structured-data` metadata set to `off`.
+ */
+function renderStructuredData() {
+  if (['off', 'none', 'false'].includes(toClassName(getMetadata('structured-data')))) return;
+  let script = document.head.querySelector('script[type="application/ld+json"][data-generated]');
+  if (!script) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.dataset.generated = '';
+    document.head.append(script);
+  }
+  const graph = [getPageStructuredData(), ...window.hlx.structuredData];
+  script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph });
+  document.dispatchEvent(new CustomEvent('structured-data:change', { detail: { graph } }));
+}
+
+/**
+ * Adds a schema.org node to the structured data of the page, e.g. a VideoObject for a video.
+ * @param {Object} node The schema.org node, with `@type`
+ */
+function addStructuredData(node) {
+  window.hlx.structuredData.push(node);
+  renderStructuredData();
+}
+
 /**
  * Builds a block DOM Element from a two dimensional array, string, or object
  * @param {string} blockName name of the block
@@ -531,27 +1713,127 @@ function buildBlock(blockName, content) {
   return blockEl;
 }
 
+/**
+ * Registers an auto block rule. Rules are applied by applyAutoBlocks in registration order,
+ * e.g. `registerAutoBlock('quote', { selector: 'blockquote', build: (el) => buildBlock('quote',
+ * [[el.innerHTML]]) })`.
+ * @param {string} name The rule name, a rule with the same name is replaced
+ * @param {Object} rule The rule
+ * @param {string} [rule.selector] Default content elements to build the block from
+ * @param {RegExp} [rule.link] Pattern for the URL of links alone in a paragraph to build the
+ * block from
+ * @param {Object} [rule.metadata] Metadata the page must have, e.g. `{ template: 'article' }`,
+ * `true` requires any value
+ * @param {Function} [rule.match] Additional check, called with the element
+ * @param {Function} rule.build Builder called with the element and the container. The returned
+ * block replaces the element, or the paragraph of the link. Rules without selector and link are
+ * called once with the container.
+ */
+function registerAutoBlock(name, rule) {
+  window.hlx.autoBlocks.set(name, rule);
+}
+
+/**
+ * Applies the registered auto block rules to a container element.
+ * @param {Element} main The container element
+ */
+function applyAutoBlocks(main) {
+  // default content only, blocks are nested in section divs
+  const isDefaultContent = (el) => el.parentElement.closest('div')?.parentElement === main;
+  const isAlone = (a) => {
+    const p = a.closest('p');
+    return p && p.querySelectorAll('a').length === 1 && p.textContent.trim() === a.textContent.trim();
+  };
+
+  window.hlx.autoBlocks.forEach((rule, name) => {
+    try {
+      const { metadata = {} } = rule;
+      const hasMetadata = Object.entries(metadata).every(([key, value]) => (value === true
+        ? !!getMetadata(key)
+        : toClassName(getMetadata(key)) === toClassName(value)));
+      if (!hasMetadata) return;
+      if (!rule.selector && !rule.link) {
+        if (!rule.match || rule.match(main)) rule.build(main, main);
+        return;
+      }
+
+      const elements = rule.link
+        ? [...main.querySelectorAll('a[href]')].filter((a) => isAlone(a) && rule.link.test(a.href))
+        : [...main.querySelectorAll(rule.selector)];
+      elements
+        .filter((el) => isDefaultContent(el) && (!rule.match || rule.match(el)))
+        .forEach((el) => {
+          const target = rule.link ? el.closest('p') : el;
+          if (!main.contains(target)) return;
+          const block = rule.build(el, main);
+          if (block) target.replaceWith(block);
+        });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`Auto block ${name} failed`, error);
+    }
+  });
+}
+
+/**
+ * Puts a block that failed to load back into its authored state and renders its fallback.
+ * @param {Element} block The block element
+ * @param {Object} authored The authored class name and child nodes of the block
+ * @param {Error} error The error that made the block fail
+ * @param {Object} [mod] The block module, if it could be imported
+ */
+async function renderBlockFallback(block, authored, error, mod) {
+  const { blockName } = block.dataset;
+  block.className = authored.className;
+  block.replaceChildren(...authored.nodes);
+  block.dataset.blockStatus = 'error';
+  sampleRUM('error', { source: blockName, target: `${error}` });
+  if (mod && mod.fallback) {
+    try {
+      await mod.fallback(block, error);
+    } catch (fallbackError) {
+      // eslint-disable-next-line no-console
+      console.log(`failed to render fallback for ${blockName}`, fallbackError);
+    }
+  }
+}
+
 /**
  * Loads JS and CSS for a block.
+ * If the block module fails to load or throws, the block gets the `error` status, its authored
+ * markup is restored and the optional `fallback(block, error)` export of the module is called.
  * @param {Element} block The block element
  */
 async function loadBlock(block) {
   const status = block.dataset.blockStatus;
-  if (status !== 'loading' && status !== 'loaded') {
+  if (status !== 'loading' && status !== 'loaded' && status !== 'error') {
     block.dataset.blockStatus = 'loading';
     const { blockName } = block.dataset;
+    const start = performance.now();
+    const authored = {
+      className: block.className,
+      nodes: [...block.childNodes].map((node) => node.cloneNode(true)),
+    };
+    let mod;
+    let failure;
     try {
-      const cssLoaded = loadCSS(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.css`);
+      // a block without its CSS keeps its decoration, only a failing module renders the fallback
+      const cssLoaded = loadCSS(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.css`)
+        .catch(() => {
+          // eslint-disable-next-line no-console
+          console.log(`failed to load css for ${blockName}`);
+        });
       const decorationComplete = new Promise((resolve) => {
         (async () => {
           try {
-            const mod = await import(
+            mod = await import(
               `${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`
             );
             if (mod.default) {
               await mod.default(block);
             }
           } catch (error) {
+            failure = error;
             // eslint-disable-next-line no-console
             console.log(`failed to load module for ${blockName}`, error);
           }
@@ -560,21 +1842,61 @@ async function loadBlock(block) {
       });
       await Promise.all([cssLoaded, decorationComplete]);
     } catch (error) {
+      failure = failure || error;
       // eslint-disable-next-line no-console
       console.log(`failed to load block ${blockName}`, error);
     }
-    block.dataset.blockStatus = 'loaded';
+    const detail = { blockName, element: block, duration: performance.now() - start };
+    if (failure) {
+      await renderBlockFallback(block, authored, failure, mod);
+      dispatchLifecycleEvent('block:error', { ...detail, error: failure });
+    } else {
+      block.dataset.blockStatus = 'loaded';
+      dispatchLifecycleEvent('block:decorated', detail);
+    }
   }
   return block;
 }
 
+/**
+ * Removes a block, including its wrapper in a section.
+ * @param {Element} block The block element
+ */
+function removeBlock(block) {
+  const wrapper = block.parentElement;
+  if (wrapper && wrapper.parentElement && wrapper.parentElement.classList.contains('section')) {
+    wrapper.remove();
+  } else {
+    block.remove();
+  }
+}
+
+const BLOCK_CONFIG_KEYS = ['show-from', 'show-until', 'audience'];
+
 /**
  * Decorates a block.
+ * Trailing rows with a show-from, show-until or audience key, after at least one content row,
+ * configure the schedule and audience of the block and are removed.
  * @param {Element} block The block element
  */
 function decorateBlock(block) {
   const shortBlockName = block.classList[0];
   if (shortBlockName) {
+    const config = {};
+    const rows = [...block.querySelectorAll(':scope > div')];
+    for (let i = rows.length - 1; i > 0; i -= 1) {
+      const row = rows[i];
+      const key = row.children.length === 2 ? toClassName(row.children[0].textContent) : '';
+      if (!BLOCK_CONFIG_KEYS.includes(key) || key in config) break;
+      config[key] = row.children[1].textContent.trim();
+      row.remove();
+    }
+    if (!isScheduledVisible(config['show-from'], config['show-until'])) {
+      removeBlock(block);
+      return;
+    }
+    if (config.audience) block.dataset.audience = config.audience;
+
     block.classList.add('block');
     block.dataset.blockName = shortBlockName;
     block.dataset.blockStatus = 'initialized';
@@ -594,6 +1916,83 @@ function decorateBlocks(main) {
   main.querySelectorAll('div.section > div > div').forEach(decorateBlock);
 }
 
+const AUDIENCES = {
+  mobile: () => !window.matchMedia('(min-width: 900px)').matches,
+  desktop: () => window.matchMedia('(min-width: 900px)').matches,
+  'new-visitor': () => !window.hlx.returningVisitor,
+  'returning-visitor': () => window.hlx.returningVisitor,
+};
+
+/**
+ * Registers an audience resolver, e.g.
+ * `registerAudience('logged-in', async () => !!(await getProfile()))`.
+ * @param {string} name The audience name, as used in the audience section metadata and block config
+ * @param {Function} resolver Returns, or resolves to, true if the visitor belongs to the audience
+ */
+function registerAudience(name, resolver) {
+  window.hlx.audiences.set(toClassName(name), resolver);
+}
+
+/**
+ * Checks whether the visitor belongs to an audience. Besides the registered audiences,
+ * `campaign-<name>` matches the utm_campaign URL parameter.
+ * @param {string} name The audience name
+ * @returns {Promise<boolean>} True if the visitor belongs to the audience
+ */
+async function resolveAudience(name) {
+  const resolver = window.hlx.audiences.get(name) || AUDIENCES[name];
+  if (resolver) {
+    try {
+      return !!(await resolver());
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`Audience ${name} failed`, error);
+      return false;
+    }
+  }
+  if (name.startsWith('campaign-')) {
+    const campaign = new URLSearchParams(window.location.search).get('utm_campaign');
+    return !!campaign && toClassName(campaign) === name.substring('campaign-'.length);
+  }
+  return false;
+}
+
+/**
+ * Removes the sections and blocks with an audience the visitor does not belong to.
+ * A section or block with several audiences, e.g. `mobile, returning-visitor`, is kept if
+ * the visitor belongs to any of them. On preview, the content is hidden instead, so the
+ * audience preview can show it.
+ * @param {Element} main The container element
+ */
+async function applyAudiences(main) {
+  if (window.hlx.returningVisitor === undefined) {
+    try {
+      window.hlx.returningVisitor = !!localStorage.getItem('visited');
+      localStorage.setItem('visited', 'true');
+    } catch (e) {
+      window.hlx.returningVisitor = false;
+    }
+  }
+
+  const elements = [...main.querySelectorAll('[data-audience]')];
+  const getAudiences = (el) => el.dataset.audience.split(',').map((a) => toClassName(a.trim()));
+  const names = [...new Set(elements.flatMap(getAudiences))];
+  const results = await Promise.all(names.map(resolveAudience));
+  const preview = isPreview();
+  elements.forEach((el) => {
+    const match = getAudiences(el).some((name) => results[names.indexOf(name)]);
+    el.dataset.audienceMatch = match;
+    if (match) return;
+    if (preview) {
+      el.dataset.audienceHidden = '';
+    } else if (el.classList.contains('section')) {
+      el.remove();
+    } else {
+      removeBlock(el);
+    }
+  });
+}
+
 /**
  * Loads a block named 'header' into header
  * @param {Element} header header element
@@ -635,64 +2034,299 @@ async function waitForFirstImage(section) {
   });
 }
 
+/**
+ * Loads blocks in parallel, with at most `concurrency` blocks loading at the same time.
+ * Blocks are started in document order.
+ * @param {Element[]} blocks The block elements
+ * @param {number} [concurrency] Max. number of parallel block loads, defaults to
+ * window.hlx.blockConcurrency
+ * @returns {Promise<Element[]>} The loaded blocks
+ */
+async function loadBlocks(blocks, concurrency = window.hlx.blockConcurrency) {
+  const queue = [...blocks];
+  const limit = Math.min(Math.max(1, concurrency || queue.length), queue.length);
+  const worker = async () => {
+    while (queue.length) {
+      // eslint-disable-next-line no-await-in-loop
+      await loadBlock(queue.shift());
+    }
+  };
+  await Promise.all([...Array(limit)].map(worker));
+  return blocks;
+}
+
 /**
  * Loads all blocks in a section.
+ * The first block of the first section (the LCP candidate) is loaded on its own,
+ * all other blocks are loaded in parallel.
  * @param {Element} section The section element
+ * @param {Function} [loadCallback] Called once all blocks are loaded, before the section is shown
  */
 
 async function loadSection(section, loadCallback) {
+  // sections can be removed by scheduling or audiences
+  if (!section) return;
   const status = section.dataset.sectionStatus;
   if (!status || status === 'initialized') {
     section.dataset.sectionStatus = 'loading';
+    const start = performance.now();
     const blocks = [...section.querySelectorAll('div.block')];
-    for (let i = 0; i < blocks.length; i += 1) {
-      // eslint-disable-next-line no-await-in-loop
-      await loadBlock(blocks[i]);
+    const firstSection = section.parentElement
+      && section.parentElement.querySelector(':scope > .section');
+    if (blocks.length && section === firstSection) {
+      await loadBlock(blocks[0]);
     }
+    await loadBlocks(blocks);
     if (loadCallback) await loadCallback(section);
     section.dataset.sectionStatus = 'loaded';
     section.style.display = null;
+    dispatchLifecycleEvent('section:loaded', {
+      element: section,
+      blocks,
+      duration: performance.now() - start,
+    });
+  }
+}
+
+/**
+ * Loads sections in document order, up to and including the section containing the target.
+ * @param {Element[]} sections The section elements
+ * @param {Element} [target] The last element to load, loads all sections if omitted
+ */
+async function loadSectionsUntil(sections, target) {
+  const last = target ? sections.findIndex((section) => section.contains(target)) : -1;
+  const end = last >= 0 ? last + 1 : sections.length;
+  for (let i = 0; i < end; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await loadSection(sections[i]);
+  }
+}
+
+/**
+ * Returns the element referenced by the URL hash, if any.
+ * @param {Element} element The element to look in
+ * @returns {Element|null} The hash target
+ */
+function getHashTarget(element) {
+  const { hash } = window.location;
+  if (!hash || hash.length < 2) return null;
+  let id = hash.substring(1);
+  try {
+    id = decodeURIComponent(id);
+  } catch (e) {
+    // keep the hash as is
   }
+  const target = document.getElementById(id);
+  return target && element.contains(target) ? target : null;
 }
 
 /**
  * Loads all sections.
+ * In lazy mode, sections are loaded one after another as the page is scrolled: a section
+ * is loaded once the section before it comes within `rootMargin` of the viewport. Sections up
+ * to the URL hash target are always loaded, also when the hash changes later on.
  * @param {Element} element The parent element of sections to load
+ * @param {Object} [options] Loading options
+ * @param {boolean} [options.lazy] Load sections when they come near the viewport
+ * @param {string} [options.rootMargin] IntersectionObserver root margin, defaults to
+ * window.hlx.sectionRootMargin
+ * @returns {Promise} Resolves once all sections (lazy: the sections near the viewport) are loaded
  */
 
-async function loadSections(element) {
+async function loadSections(element, { lazy = false, rootMargin } = {}) {
   const sections = [...element.querySelectorAll('div.section')];
-  for (let i = 0; i < sections.length; i += 1) {
-    // eslint-disable-next-line no-await-in-loop
-    await loadSection(sections[i]);
+  if (!lazy || !('IntersectionObserver' in window)) {
+    await loadSectionsUntil(sections);
+    return;
   }
+
+  await loadSectionsUntil(sections, getHashTarget(element) || sections[0]);
+  window.addEventListener('hashchange', async () => {
+    const target = getHashTarget(element);
+    if (target) {
+      await loadSectionsUntil(sections, target);
+      target.scrollIntoView();
+    }
+  });
+  window.addEventListener('beforeprint', () => loadSectionsUntil(sections));
+
+  const findNext = () => sections.find((section) => section.dataset.sectionStatus === 'initialized');
+  await new Promise((resolve) => {
+    let observer;
+    // observes the last loaded section, hidden sections never come into view,
+    // so the sections after them are loaded right away
+    const observeLoaded = async () => {
+      let last = sections.filter((section) => section.dataset.sectionStatus === 'loaded').pop();
+      let next = findNext();
+      while (last && next && !last.getClientRects().length) {
+        // eslint-disable-next-line no-await-in-loop
+        await loadSection(next);
+        last = next;
+        next = findNext();
+      }
+      if (last && next) observer.observe(last);
+      else resolve();
+    };
+    observer = new IntersectionObserver(async (entries) => {
+      if (!entries.some((entry) => entry.isIntersecting)) {
+        resolve();
+        return;
+      }
+      observer.disconnect();
+      const next = findNext();
+      if (next) {
+        await loadSection(next);
+        await observeLoaded();
+      } else {
+        resolve();
+      }
+    }, { rootMargin: rootMargin || window.hlx.sectionRootMargin });
+    observeLoaded();
+  });
+}
+
+/**
+ * Loads all remaining sections, regardless of the viewport, e.g. before printing.
+ * @param {Element} [element] The parent element of sections to load, defaults to main
+ * @returns {Promise} Resolves once all sections are loaded
+ */
+async function loadAllSections(element = document.querySelector('main')) {
+  return loadSections(element);
+}
+
+/**
+ * Registers a plugin to be loaded in one of the page load phases.
+ * The default export of the plugin module is called with the document and the loader utilities,
+ * e.g. `registerPlugin('experiments', { url: '/plugins/experiments.js', phase: 'eager',
+ * condition: { metadata: 'experiment' } })`.
+ * @param {string} name The plugin name
+ * @param {Object} plugin The plugin declaration
+ * @param {string} plugin.url Path to the plugin module, relative to the code base path
+ * @param {string} [plugin.phase] eager, lazy (default) or delayed
+ * @param {Function|Object} [plugin.condition] Function called with the document, or
+ * `{ metadata: 'name' }` / `{ param: 'name' }` to require a metadata value or URL param
+ * @param {Object} [plugin.options] Options passed to the plugin
+ */
+function registerPlugin(name, {
+  url, phase = 'lazy', condition, options = {},
+}) {
+  window.hlx.plugins.set(name, {
+    name, url, phase, condition, options,
+  });
+}
+
+/**
+ * Checks whether the condition of a plugin is met.
+ * @param {Object} plugin The plugin declaration
+ * @param {Document} doc The document
+ * @returns {boolean} True if the plugin should be loaded
+ */
+function isPluginEnabled({ condition }, doc) {
+  if (!condition) return true;
+  if (typeof condition === 'function') return !!condition(doc);
+  if (condition.metadata) return !!getMetadata(condition.metadata, doc);
+  if (condition.param) return new URLSearchParams(window.location.search).has(condition.param);
+  return true;
+}
+
+/**
+ * Loads and runs all registered plugins of a phase.
+ * @param {string} phase eager, lazy or delayed
+ * @param {Document} [doc] The document
+ * @returns {Promise} Resolves once all plugins of the phase have run
+ */
+async function loadPlugins(phase, doc = document) {
+  const utils = {
+    buildBlock,
+    createOptimizedPicture,
+    decorateBlock,
+    dispatchLifecycleEvent,
+    fetchPlaceholders,
+    getMetadata,
+    loadBlock,
+    loadCSS,
+    loadScript,
+    loadSection,
+    readBlockConfig,
+    readBlockOptions,
+    registerAudience,
+    registerAutoBlock,
+    sampleRUM,
+    toCamelCase,
+    toClassName,
+  };
+  const plugins = [...window.hlx.plugins.values()]
+    .filter((plugin) => plugin.phase === phase && isPluginEnabled(plugin, doc));
+  await Promise.all(plugins.map(async (plugin) => {
+    try {
+      const url = plugin.url.startsWith('/') ? `${window.hlx.codeBasePath}${plugin.url}` : plugin.url;
+      const mod = await import(url);
+      if (mod.default) await mod.default(doc, { ...utils, options: plugin.options });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.log(`failed to load plugin ${plugin.name}`, error);
+    }
+  }));
 }
 
 init();
 
 export {
+  addStructuredData,
+  applyAudiences,
+  applyAutoBlocks,
   buildBlock,
+  createColorSchemeToggle,
   createOptimizedPicture,
+  createPlaceholderFormatter,
   decorateBlock,
   decorateBlocks,
   decorateButtons,
+  decorateColorSchemeImages,
   decorateIcons,
+  decorateImageFocus,
+  decorateLinks,
+  decorateLocale,
+  decoratePlaceholders,
   decorateSections,
   decorateTemplateAndTheme,
+  dispatchLifecycleEvent,
   fetchPlaceholders,
+  formatMessage,
+  getColorScheme,
+  getConsent,
+  getLocale,
   getMetadata,
+  hasConsent,
+  hasConsentChoice,
+  isPreview,
+  loadAllSections,
   loadBlock,
+  loadBlocks,
   loadCSS,
   loadFooter,
   loadHeader,
+  loadPlugins,
   loadScript,
   loadSection,
   loadSections,
+  loadTemplate,
+  onConsent,
+  parseImageFocus,
   readBlockConfig,
+  readBlockOptions,
+  registerAudience,
+  registerAutoBlock,
+  registerPlugin,
+  renderStructuredData,
+  requireConsent,
   sampleRUM,
+  setColorScheme,
+  setConsent,
   setup,
   toCamelCase,
   toClassName,
+  toggleColorScheme,
   waitForFirstImage,
   wrapTextNodes,
 };
@@ -1 +1,9 @@
+import { onConsent } from './aem.js';
+
 // add delayed functionality here
+
+// third-party scripts, e.g. tag managers, run once the visitor consented to marketing,
+// also when consent is granted later on
+onConsent('marketing', () => {
+  // loadScript('https://example.com/tag.js');
+});
@@ -1,20 +1,52 @@
 import {
+  applyAudiences,
+  applyAutoBlocks,
   buildBlock,
+  decorateBlock,
   loadHeader,
   loadFooter,
   decorateButtons,
   decorateIcons,
+  decorateLinks,
+  decorateLocale,
+  decoratePlaceholders,
   decorateSections,
   decorateBlocks,
   decorateTemplateAndTheme,
+  dispatchLifecycleEvent,
   getMetadata,
+  isPreview,
   waitForFirstImage,
   loadSection,
   loadSections,
+  loadBlock,
   loadCSS,
+  loadPlugins,
+  loadTemplate,
+  registerAutoBlock,
+  registerPlugin,
+  renderStructuredData,
   sampleRUM,
 } from './aem.js';
 
+/*
+  Plugins run in the eager, lazy or delayed phase, e.g.
+  registerPlugin('my-plugin', { url: '/plugins/my-plugin.js', phase: 'delayed' });
+*/
+registerPlugin('experiments', {
+  url: '/plugins/experiments.js',
+  phase: 'eager',
+  condition: { metadata: 'experiment' },
+});
+registerPlugin('structured-data-debug', {
+  url: '/plugins/structured-data-debug.js',
+  condition: { param: 'structured-data' },
+});
+registerPlugin('audience-preview', {
+  url: '/plugins/audience-preview.js',
+  condition: (doc) => isPreview() && !!doc.querySelector('main [data-audience]'),
+});
+
 /**
  * Builds hero block and prepends to main in a new section.
  * @param {Element} main The container element
@@ -53,17 +85,50 @@ function autolinkModals(doc) {
   });
 }
 
+/**
+ * Loads the consent banner if the consent metadata points to its fragment.
+ * @param {Element} doc The container element
+ */
+function loadConsent(doc) {
+  if (!getMetadata('consent')) return;
+  const wrapper = doc.createElement('div');
+  const block = buildBlock('consent', '');
+  wrapper.append(block);
+  // first in the document, so it is reached first by keyboard and screen reader users
+  doc.body.prepend(wrapper);
+  decorateBlock(block);
+  loadBlock(block);
+}
+
+registerAutoBlock('hero', {
+  match: (main) => !main.querySelector('.hero'),
+  build: buildHeroBlock,
+});
+
+// YouTube and Vimeo links alone in a paragraph
+registerAutoBlock('video', {
+  link: /^https:\/\/(www\.)?(youtube\.com|youtu\.be|vimeo\.com)\//,
+  build: (link) => buildBlock('video', [[link.href]]),
+});
+
+// links to fragments of this site, except the fragment being decorated
+registerAutoBlock('fragment', {
+  link: /\/fragments\//,
+  match: (link) => {
+    const { origin, pathname } = new URL(link.href);
+    return origin === window.location.origin
+      && pathname !== link.closest('main').dataset.fragmentPath;
+  },
+  build: (link) => buildBlock('fragment', [[new URL(link.href).pathname]]),
+});
+
 /**
  * Builds all synthetic blocks in a container element.
+ * Projects can add rules with registerAutoBlock, e.g. from an eager plugin.
  * @param {Element} main The container element
  */
 function buildAutoBlocks(main) {
-  try {
-    if (!main.querySelector('.hero')) buildHeroBlock(main);
-  } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Auto Blocking failed', error);
-  }
+  applyAutoBlocks(main);
 }
 
 /**
@@ -71,11 +136,14 @@ function buildAutoBlocks(main) {
  * @param {Element} main The main element
  */
 // eslint-disable-next-line import/prefer-default-export
-export function decorateMain(main) {
+export async function decorateMain(main) {
+  await decoratePlaceholders(main);
+  // before buttons and links, so auto blocked links are not grouped or decorated first
+  buildAutoBlocks(main);
   // hopefully forward compatible button decoration
   decorateButtons(main);
+  decorateLinks(main);
   decorateIcons(main);
-  buildAutoBlocks(main);
   decorateSections(main);
   decorateBlocks(main);
 }
@@ -85,16 +153,20 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  doc.documentElement.lang = 'en';
+  decorateLocale(doc);
   decorateTemplateAndTheme();
   if (getMetadata('breadcrumbs').toLowerCase() === 'true') {
     doc.body.dataset.breadcrumbs = true;
   }
+  await loadPlugins('eager', doc);
   const main = doc.querySelector('main');
   if (main) {
-    decorateMain(main);
+    await decorateMain(main);
+    await applyAudiences(main);
+    await loadTemplate(main);
     doc.body.classList.add('appear');
-    await loadSection(main.querySelector('.section'), waitForFirstImage);
+    const section = main.querySelector('.section');
+    if (section) await loadSection(section, waitForFirstImage);
   }
 
   sampleRUM.enhance();
@@ -107,6 +179,8 @@ async function loadEager(doc) {
   } catch (e) {
     // do nothing
   }
+
+  dispatchLifecycleEvent('page:eager-done', { time: performance.now() });
 }
 
 /**
@@ -117,7 +191,7 @@ async function loadLazy(doc) {
   autolinkModals(doc);
 
   const main = doc.querySelector('main');
-  await loadSections(main);
+  await loadSections(main, { lazy: true });
 
   const { hash } = window.location;
   const element = hash ? doc.getElementById(hash.substring(1)) : false;
@@ -125,9 +199,14 @@ async function loadLazy(doc) {
 
   loadHeader(doc.querySelector('header'));
   loadFooter(doc.querySelector('footer'));
+  loadConsent(doc);
+  renderStructuredData();
 
   loadCSS(`${window.hlx.codeBasePath}/styles/lazy-styles.css`);
   loadFonts();
+
+  await loadPlugins('lazy', doc);
+  dispatchLifecycleEvent('page:lazy-done', { time: performance.now() });
 }
 
 /**
@@ -136,7 +215,10 @@ async function loadLazy(doc) {
  */
 function loadDelayed() {
   // eslint-disable-next-line import/no-cycle
-  window.setTimeout(() => import('./delayed.js'), 3000);
+  window.setTimeout(() => {
+    import('./delayed.js');
+    loadPlugins('delayed', document);
+  }, 3000);
   // load anything that can be postponed to the latest here
 }
 